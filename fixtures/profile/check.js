@@ -0,0 +1,74 @@
+/**
+ * Compara a saída do ProfileExporter (meuscript.js) com as fixtures desta pasta: lê
+ * page.html com readProfile e confere toJson com resume.json e toVCard com profile.vcf.
+ * Precisa do jsdom, que o portfólio não usa em produção.
+ *
+ * Uso: npm install --no-save jsdom && node fixtures/profile/check.js [--update]
+ * Com --update, reescreve resume.json e profile.vcf com a saída atual (revise o diff).
+ * Sai com código 1 se alguma saída for diferente da fixture.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const FIXTURES = __dirname;
+const SCRIPT = path.join(__dirname, '..', '..', 'meuscript.js');
+const LABEL = 'Desenvolvedora Full Stack em Formação';
+
+/**
+ * Carrega o meuscript.js em uma página vazia, sem inicializar o app.
+ * @returns {Promise<JSDOM>}
+ */
+function loadScript() {
+  const dom = new JSDOM('<!DOCTYPE html>', { runScripts: 'outside-only' });
+  
+  return new Promise(resolve => dom.window.addEventListener('load', resolve)).then(() => {
+    // O jsdom não expõe o TextEncoder, usado para dobrar as linhas do vCard
+    dom.window.TextEncoder = TextEncoder;
+    new vm.Script(fs.readFileSync(SCRIPT, 'utf8'), { filename: SCRIPT }).runInContext(dom.getInternalVMContext());
+    return dom;
+  });
+}
+
+/**
+ * Gera as saídas a partir da página da fixture.
+ * @param {JSDOM} dom - A página com o meuscript.js carregado.
+ * @returns {Object<string, string>} O conteúdo esperado de cada arquivo.
+ */
+function exportProfile(dom) {
+  const ProfileExporter = vm.runInContext('ProfileExporter', dom.getInternalVMContext());
+  const doc = new dom.window.DOMParser().parseFromString(fs.readFileSync(path.join(FIXTURES, 'page.html'), 'utf8'), 'text/html');
+  const profile = ProfileExporter.readProfile(doc, LABEL);
+  
+  return {
+    'resume.json': ProfileExporter.toJson(profile),
+    'profile.vcf': ProfileExporter.toVCard(profile)
+  };
+}
+
+loadScript().then(dom => {
+  const outputs = exportProfile(dom);
+  const update = process.argv.includes('--update');
+  let failed = false;
+  
+  Object.entries(outputs).forEach(([file, actual]) => {
+    const target = path.join(FIXTURES, file);
+    
+    if (update) {
+      fs.writeFileSync(target, actual);
+      console.log(`${file}: atualizado`);
+    } else if (fs.readFileSync(target, 'utf8') === actual) {
+      console.log(`${file}: ok`);
+    } else {
+      failed = true;
+      console.error(`${file}: diferente da fixture (rode com --update e revise o diff)`);
+    }
+  });
+  
+  dom.window.close();
+  process.exitCode = failed ? 1 : 0;
+}).catch(error => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -6,20 +6,34 @@ const CONFIG = {
   /** Configurações de animação */
   ANIMATIONS: {
     REVEAL_THRESHOLD: 0.15,
-    REVEAL_DELAY: 100,
+    REVEAL_DELAY: 100, // Atraso entre elementos de uma mesma grade (.skills, .cert-grid, ...)
+    REVEAL_REPEAT: false, // Se os elementos somem ao sair da viewport e são revelados de novo ao voltar
     TYPING_SPEED: 100,
     TYPING_DELETE_SPEED: 50,
-    TYPING_PAUSE: 2000
+    TYPING_PAUSE: 2000,
+    TYPING_WORD_DELAY: 500, // Tempo antes de começar a próxima palavra
+    TYPING_JITTER: 0.3, // Variação aleatória de cada intervalo (0.3 = ±30%)
+    TYPING_CARET: true
   },
   
   /** Configurações do sistema de partículas */
   PARTICLES: {
+    RENDERER: 'canvas', // 'canvas' | 'dom' (o DOM também é o fallback sem suporte a canvas)
     COUNT_DESKTOP: 30,
     COUNT_MOBILE: 15,
     SIZE_MIN: 1,
     SIZE_MAX: 4,
     DURATION_MIN: 10,
-    DURATION_MAX: 15
+    DURATION_MAX: 15,
+    // Renderizador em canvas
+    DENSITY: 0.00003, // Partículas por px² do container
+    COUNT_MIN: 12,
+    COUNT_MAX: 90,
+    SPEED: 0.35, // px por quadro (a 60fps)
+    LINK_DISTANCE: 120,
+    POINTER_MODE: 'repel', // 'repel' | 'attract'
+    POINTER_RADIUS: 150,
+    POINTER_FORCE: 2
   },
   
   /** Configurações do cursor personalizado */
@@ -30,6 +44,26 @@ const CONFIG = {
     HOVER_SCALE: 1.5
   },
   
+  /** Scroll-spy da navegação */
+  SCROLL_SPY: {
+    ACTIVATION_LINE: 0.3 // Fração da viewport (abaixo da nav) em que uma seção passa a ser a ativa
+  },
+  
+  /** Governador de qualidade: reduz os efeitos quando o FPS medido fica baixo */
+  QUALITY: {
+    LOW_FPS: 40,
+    HIGH_FPS: 55,
+    DOWNGRADE_AFTER: 3, // Segundos seguidos abaixo de LOW_FPS para reduzir um nível
+    UPGRADE_AFTER: 8, // Segundos seguidos acima de HIGH_FPS para voltar um nível
+    PARTICLE_SCALE: 0.5 // Fração das partículas mantida no primeiro nível
+  },
+  
+  /** Monitor de performance (#debug) */
+  DEBUG: {
+    HISTORY_LENGTH: 60, // Amostras (1 por segundo) guardadas para os sparklines
+    PRESETS_KEY: 'portfolio:config-presets'
+  },
+  
   /** Breakpoints de resolução */
   BREAKPOINTS: {
     MOBILE: 480,
@@ -37,9 +71,81 @@ const CONFIG = {
     DESKTOP: 1200
   },
   
-  /** Intervalo para o badge de experiência (simulação) */
-  SKILL_EXPERIENCE_MIN: 1,
-  SKILL_EXPERIENCE_MAX: 3
+  /** Fonte dos dados de conteúdo (habilidades, experiência, formação) */
+  CONTENT: {
+    SOURCE: 'portfolio.json'
+  },
+  
+  /** Cards de repositórios do GitHub (JSON no formato de /users/:user/repos) */
+  GITHUB: {
+    SOURCE: 'github-repos.json',
+    CACHE_KEY: 'portfolio:github-repos',
+    CACHE_TTL: 6 * 60 * 60 * 1000,
+    SORT: 'updated', // 'updated' | 'stars' | 'name'
+    PINNED: [],
+    EXCLUDE: [],
+    INCLUDE_FORKS: false,
+    LIMIT: 6
+  },
+  
+  /** Formulário de contato (o e-mail de fallback vem do action="mailto:..." do formulário) */
+  CONTACT: {
+    ENDPOINT: '/api/contact', // Servido por mock-server.js em desenvolvimento
+    MIN_SUBMIT_TIME: 3000, // Envios mais rápidos que isso são tratados como spam
+    QUEUE_KEY: 'portfolio:contact-queue'
+  },
+  
+  /** Linha do tempo da carreira (#experience) */
+  TIMELINE: {
+    VISIBLE_HIGHLIGHTS: 2, // Atividades exibidas antes do "Ver mais"
+    MERGE_EDUCATION: false // Se a formação começa mesclada à linha do tempo
+  },
+  
+  /** Downloads do perfil (JSON Resume e vCard) */
+  EXPORT: {
+    JSON_RESUME_SCHEMA: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+    VCARD_LINE_LENGTH: 75 // Octetos (UTF-8) por linha antes da quebra, sem o CRLF (RFC 2426)
+  },
+  
+  /** Metadados de compartilhamento (Open Graph, Twitter Card) e JSON-LD */
+  SEO: {
+    SITE_URL: null, // URL publicada (ex: 'https://exemplo.dev/'); null usa a URL da página até ser confirmada
+    IMAGE: 'img.jpg',
+    TWITTER_CARD: 'summary_large_image',
+    OG_LOCALES: { 'pt-BR': 'pt_BR', en: 'en_US' } // og:locale exige idioma_TERRITÓRIO
+  },
+  
+  /** Analytics local, sem cookies (respeita Do Not Track e o opt-out do visitante) */
+  ANALYTICS: {
+    ENDPOINT: '/api/analytics', // Servido por mock-server.js em desenvolvimento
+    BATCH_SIZE: 20, // Eventos acumulados antes de um envio antecipado
+    MIN_DWELL: 1000, // Leituras de seção mais curtas que isso (ms) são ignoradas
+    READING_MARGIN: '-40% 0px -40% 0px', // Faixa central da viewport que conta como leitura
+    SCROLL_MILESTONES: [25, 50, 75, 100],
+    OPT_OUT_KEY: 'portfolio:analytics-opt-out'
+  },
+  
+  /** Suporte offline (service worker e manifest) */
+  OFFLINE: {
+    SERVICE_WORKER: 'sw.js'
+  },
+  
+  /** Formatação de datas e durações */
+  DATES: {
+    MONTHS_PER_SEMESTER: 6
+  },
+  
+  /** Temas disponíveis (ver as variáveis CSS de :root[data-theme] em style.css) */
+  THEME: {
+    THEMES: ['dark', 'light', 'high-contrast'],
+    STORAGE_KEY: 'portfolio:theme'
+  },
+  
+  /** Idiomas disponíveis (o primeiro é o padrão, o mesmo do HTML estático) */
+  I18N: {
+    LOCALES: ['pt-BR', 'en'],
+    STORAGE_KEY: 'portfolio:locale'
+  }
 };
 
 /**
@@ -48,22 +154,302 @@ const CONFIG = {
  */
 const SELECTORS = {
   REVEAL_ELEMENTS: '.reveal',
+  REVEAL_STAGGER: '.skills, .cert-grid, .education-grid',
   SKILL_CARDS: '.skill-card',
   SKILL_ICON: '.skill-icon',
   PARTICLE_CONTAINER: '#particle-container',
   SUBTITLE: '.subtitle',
-  PROJECT_IMAGE: '.project-image'
+  PROJECT_IMAGE: '.project-image',
+  HOVER_TARGETS: 'a, button, .skill-card, .project-card, .social-btn',
+  CONTENT_INLINE: 'script#portfolio-data[type="application/json"]',
+  SKILLS_GRID: '#skills .skills',
+  TIMELINE: '#experience .timeline',
+  TIMELINE_ITEM: '.timeline-item',
+  EDUCATION_GRID: '#education .education-grid',
+  CERT_GRID: '#education .cert-grid',
+  I18N_TEXT: '[data-i18n]',
+  I18N_ATTR: '[data-i18n-attr]',
+  NAV: 'nav',
+  NAV_LINKS: '.nav-links a[href^="#"]',
+  NAV_ACTIONS: '.nav-actions',
+  DYNAMIC_DATES: '[data-current-year], [data-semester-start], [data-period-start]',
+  PROJECTS_SECTION: '#projects',
+  PROJECT_GRID: '#projects .projects-grid',
+  PROJECT_CARD: '.project-card',
+  REPO_GRID: '#projects .repo-grid',
+  REPOS_TITLE: '#projects .repos-title',
+  CONTACT_FORM: '#contact .contact-form',
+  SECTIONS: 'section[id]',
+  SOCIAL_LINKS: '.social-links a',
+  CTA_WRAPPER: '.cta-button-wrapper',
+  TRACKED_LINKS: '.social-btn, .cta-button'
 };
 
 /**
- * Palavras a serem usadas no efeito de digitação.
- * @const {string[]}
+ * Palavras a serem usadas no efeito de digitação, por idioma.
+ * @const {Object<string, string[]>}
+ */
+const TYPING_WORDS = {
+  'pt-BR': [
+    'Desenvolvedora Full Stack em Formação',
+    'Professora de TI',
+    'Estudante de Sistemas de Informação'
+  ],
+  en: [
+    'Full Stack Developer in Training',
+    'IT Teacher',
+    'Information Systems Student'
+  ]
+};
+
+/**
+ * Dicionários de tradução, por idioma. Os valores podem ser:
+ * - texto com marcadores {nome};
+ * - objeto { one, other }, escolhido pelo parâmetro count;
+ * - função que recebe os parâmetros e retorna o texto.
+ * @const {Object<string, Object<string, (string|object|Function)>>}
  */
-const TYPING_WORDS = [
-  'Desenvolvedora Full Stack em Formação',
-  'Professora de TI',
-  'Estudante de Sistemas de Informação'
-];
+const TRANSLATIONS = {
+  'pt-BR': {
+    'meta.title': 'Nicoly Rodrigues | Desenvolvedora Full Stack',
+    'meta.description': 'Portfolio Nicoly Rodrigues - Desenvolvedora Full Stack',
+    'language.switch': 'Mudar idioma para inglês',
+    'language.short': 'EN',
+    'theme.label': 'Tema: {theme}. Clique para alterar.',
+    'theme.auto': 'automático',
+    'theme.dark': 'escuro',
+    'theme.light': 'claro',
+    'theme.high-contrast': 'alto contraste',
+    'a11y.skip': 'Pular para o conteúdo',
+    'nav.about': 'Sobre',
+    'nav.skills': 'Habilidades',
+    'nav.projects': 'Projetos',
+    'nav.experience': 'Experiência',
+    'nav.education': 'Formação',
+    'nav.contact': 'Contato',
+    'header.photoAlt': 'Nicoly Rodrigues - Desenvolvedora Full Stack',
+    'header.subtitle': 'Desenvolvedora Full Stack em Formação',
+    'header.bio': 'Estudante de Sistemas de Informação | Técnico em Desenvolvimento de Sistemas - Rio Pomba Valley | Office 365 | VBA | C# | SQL | PHP',
+    'header.contact': 'Entre em Contato',
+    'about.title': 'Sobre Mim',
+    'about.before': 'Apaixonada por tecnologia e em início de carreira na área de Desenvolvimento de Sistemas. Atualmente estou cursando o ',
+    'about.after': ' de Sistemas de Informação pela Estácio e Técnico em Desenvolvimento de Sistemas pelo Instituto Energisa. Como educadora de TI na Microlins, aplico e solidifico meus conhecimentos ao traduzir temas de programação, softwares e ferramentas de análise de dados de forma clara e acessível. Busco um ambiente onde eu possa crescer, contribuir com novas ideias e fazer parte de projetos desafiadores.',
+    'skills.title': 'Habilidades Técnicas',
+    'projects.title': 'Projetos',
+    'projects.subtitle': 'Alguns dos trabalhos que desenvolvi',
+    'projects.github': 'No GitHub',
+    'projects.fallback': 'Veja todos os meus repositórios em',
+    'projects.filter': 'Filtrar projetos por tecnologia',
+    'projects.all': 'Todos',
+    'projects.shown': { one: '{count} projeto exibido', other: '{count} projetos exibidos' },
+    'projects.technologies': 'Tecnologias',
+    'projects.topics': 'Tópicos',
+    'projects.code': 'Código',
+    'projects.demo': 'Demo',
+    'projects.details': 'Detalhes',
+    'projects.close': 'Fechar detalhes',
+    'projects.carousel': 'Imagens do projeto',
+    'projects.carouselRole': 'carrossel',
+    'projects.previous': 'Imagem anterior',
+    'projects.next': 'Próxima imagem',
+    'projects.imageStatus': 'Imagem {index} de {total}',
+    'projects.noDescription': 'Sem descrição.',
+    'projects.language': 'Linguagem: {language}',
+    'projects.stars': { one: '{count} estrela', other: '{count} estrelas' },
+    'projects.updated': 'Atualizado em {date}',
+    'experience.title': 'Experiência Profissional',
+    'experience.subtitle': 'Minha trajetória na área de tecnologia',
+    'timeline.filter': 'Filtrar experiências por tipo',
+    'timeline.all': 'Todas',
+    'timeline.types.work': 'Trabalho',
+    'timeline.types.teaching': 'Ensino',
+    'timeline.types.support': 'Suporte',
+    'timeline.mergeEducation': 'Incluir formação',
+    'timeline.shown': { one: '{count} entrada exibida', other: '{count} entradas exibidas' },
+    'timeline.more': { one: 'Ver mais {count} atividade', other: 'Ver mais {count} atividades' },
+    'timeline.less': 'Ver menos',
+    'education.title': 'Formação Acadêmica',
+    'education.subtitle': 'Minha jornada educacional',
+    'education.certifications': 'Certificações',
+    'contact.title': 'Contato',
+    'contact.subtitle': 'Tem uma vaga, um projeto ou uma dúvida? Me mande uma mensagem.',
+    'contact.name': 'Nome',
+    'contact.email': 'E-mail',
+    'contact.message': 'Mensagem',
+    'contact.send': 'Enviar mensagem',
+    'contact.alternative': 'Prefere escrever direto?',
+    'contact.sending': 'Enviando...',
+    'contact.success': 'Mensagem enviada! Respondo assim que possível.',
+    'contact.queued': 'Você está offline. A mensagem foi guardada e será enviada quando a conexão voltar.',
+    'contact.flushed': { one: 'A mensagem guardada offline foi enviada.', other: '{count} mensagens guardadas offline foram enviadas.' },
+    'contact.error': 'Não foi possível enviar a mensagem.',
+    'contact.mailto': 'Enviar pelo seu aplicativo de e-mail',
+    'contact.errors.required': 'Preencha este campo.',
+    'contact.errors.email': 'Informe um e-mail válido (ex: nome@dominio.com).',
+    'contact.errors.tooShort': 'Escreva pelo menos {count} caracteres.',
+    'palette.title': 'Paleta de comandos',
+    'palette.open': 'Abrir paleta de comandos (Ctrl+K)',
+    'palette.placeholder': 'Digite um comando ou uma seção...',
+    'palette.results': 'Comandos',
+    'palette.empty': 'Nenhum comando encontrado',
+    'palette.hint': '↑ ↓ navegar · Enter executar · Esc fechar',
+    'palette.goTo': 'Ir para: {section}',
+    'palette.openLink': 'Abrir {name}',
+    'palette.copyEmail': 'Copiar e-mail',
+    'palette.copied': 'E-mail copiado: {email}',
+    'palette.copyFailed': 'Não foi possível copiar. E-mail: {email}',
+    'palette.debugOn': 'Ativar monitor de performance',
+    'palette.debugOff': 'Desativar monitor de performance',
+    'palette.pause': 'Pausar efeitos visuais',
+    'palette.resume': 'Retomar efeitos visuais',
+    'resume.download': 'Baixar CV',
+    'export.label': 'Baixar perfil:',
+    'export.json': 'Baixar perfil (JSON Resume)',
+    'export.vcard': 'Baixar cartão de contato (vCard)',
+    'analytics.on': 'Estatísticas anônimas de visita ativadas (sem cookies).',
+    'analytics.off': 'Estatísticas anônimas de visita desativadas.',
+    'analytics.dnt': 'Estatísticas de visita desativadas pelo Do Not Track do navegador.',
+    'analytics.disable': 'Desativar',
+    'analytics.enable': 'Ativar',
+    'offline.message': 'Você está offline. Exibindo a versão salva da página.',
+    'offline.update': 'Nova versão disponível.',
+    'offline.reload': 'Recarregar',
+    'offline.dismiss': 'Dispensar aviso',
+    'footer.rights': 'Todos os direitos reservados.',
+    'footer.madeWith': 'Desenvolvido com',
+    'footer.andTech': 'e tecnologia',
+    'dates.present': 'Presente',
+    'dates.semester': '{count}° período',
+    'dates.years': { one: '{count} ano', other: '{count} anos' },
+    'dates.months': { one: '{count} mês', other: '{count} meses' },
+    'dates.experience': { one: '{count}+ ano', other: '{count}+ anos' },
+    'console.welcome': '🚀 Bem-vindo ao portfólio de Nicoly Rodrigues!',
+    'console.recruiter': '👀 Recrutador? Que bom te ver por aqui! Este site foi construído com JS modular e moderno.',
+    'console.docs': 'Código-fonte deste script está documentado (JSDoc) para mostrar minhas boas práticas.',
+    'console.debugHint': '💡 P.S.: Adicione #debug na URL para ativar o monitor de performance (FPS, etc.)'
+  },
+  en: {
+    'meta.title': 'Nicoly Rodrigues | Full Stack Developer',
+    'meta.description': 'Nicoly Rodrigues Portfolio - Full Stack Developer',
+    'language.switch': 'Switch language to Portuguese',
+    'language.short': 'PT',
+    'theme.label': 'Theme: {theme}. Click to change.',
+    'theme.auto': 'automatic',
+    'theme.dark': 'dark',
+    'theme.light': 'light',
+    'theme.high-contrast': 'high contrast',
+    'a11y.skip': 'Skip to content',
+    'nav.about': 'About',
+    'nav.skills': 'Skills',
+    'nav.projects': 'Projects',
+    'nav.experience': 'Experience',
+    'nav.education': 'Education',
+    'nav.contact': 'Contact',
+    'header.photoAlt': 'Nicoly Rodrigues - Full Stack Developer',
+    'header.subtitle': 'Full Stack Developer in Training',
+    'header.bio': 'Information Systems Student | Systems Development Technician - Rio Pomba Valley | Office 365 | VBA | C# | SQL | PHP',
+    'header.contact': 'Get in Touch',
+    'about.title': 'About Me',
+    'about.before': 'Passionate about technology and at the start of my career in Systems Development. I am currently in the ',
+    'about.after': ' of Information Systems at Estácio and studying Systems Development at Instituto Energisa. As an IT educator at Microlins, I apply and strengthen my knowledge by explaining programming, software and data analysis tools in a clear and accessible way. I am looking for a place where I can grow, contribute new ideas and be part of challenging projects.',
+    'skills.title': 'Technical Skills',
+    'projects.title': 'Projects',
+    'projects.subtitle': 'Some of the work I have built',
+    'projects.github': 'On GitHub',
+    'projects.fallback': 'See all my repositories at',
+    'projects.filter': 'Filter projects by technology',
+    'projects.all': 'All',
+    'projects.shown': { one: '{count} project shown', other: '{count} projects shown' },
+    'projects.technologies': 'Technologies',
+    'projects.topics': 'Topics',
+    'projects.code': 'Code',
+    'projects.demo': 'Demo',
+    'projects.details': 'Details',
+    'projects.close': 'Close details',
+    'projects.carousel': 'Project images',
+    'projects.carouselRole': 'carousel',
+    'projects.previous': 'Previous image',
+    'projects.next': 'Next image',
+    'projects.imageStatus': 'Image {index} of {total}',
+    'projects.noDescription': 'No description.',
+    'projects.language': 'Language: {language}',
+    'projects.stars': { one: '{count} star', other: '{count} stars' },
+    'projects.updated': 'Updated on {date}',
+    'experience.title': 'Professional Experience',
+    'experience.subtitle': 'My journey in technology',
+    'timeline.filter': 'Filter experience by type',
+    'timeline.all': 'All',
+    'timeline.types.work': 'Work',
+    'timeline.types.teaching': 'Teaching',
+    'timeline.types.support': 'Support',
+    'timeline.mergeEducation': 'Include education',
+    'timeline.shown': { one: '{count} entry shown', other: '{count} entries shown' },
+    'timeline.more': { one: 'Show {count} more activity', other: 'Show {count} more activities' },
+    'timeline.less': 'Show less',
+    'education.title': 'Education',
+    'education.subtitle': 'My educational journey',
+    'education.certifications': 'Certifications',
+    'contact.title': 'Contact',
+    'contact.subtitle': 'Have a job opening, a project or a question? Send me a message.',
+    'contact.name': 'Name',
+    'contact.email': 'Email',
+    'contact.message': 'Message',
+    'contact.send': 'Send message',
+    'contact.alternative': 'Prefer to write directly?',
+    'contact.sending': 'Sending...',
+    'contact.success': 'Message sent! I will reply as soon as possible.',
+    'contact.queued': 'You are offline. The message was saved and will be sent when the connection is back.',
+    'contact.flushed': { one: 'The message saved offline was sent.', other: '{count} messages saved offline were sent.' },
+    'contact.error': 'The message could not be sent.',
+    'contact.mailto': 'Send with your email app',
+    'contact.errors.required': 'Please fill in this field.',
+    'contact.errors.email': 'Enter a valid email (e.g. name@domain.com).',
+    'contact.errors.tooShort': 'Write at least {count} characters.',
+    'palette.title': 'Command palette',
+    'palette.open': 'Open command palette (Ctrl+K)',
+    'palette.placeholder': 'Type a command or a section...',
+    'palette.results': 'Commands',
+    'palette.empty': 'No commands found',
+    'palette.hint': '↑ ↓ navigate · Enter run · Esc close',
+    'palette.goTo': 'Go to: {section}',
+    'palette.openLink': 'Open {name}',
+    'palette.copyEmail': 'Copy email',
+    'palette.copied': 'Email copied: {email}',
+    'palette.copyFailed': 'Could not copy. Email: {email}',
+    'palette.debugOn': 'Enable performance monitor',
+    'palette.debugOff': 'Disable performance monitor',
+    'palette.pause': 'Pause visual effects',
+    'palette.resume': 'Resume visual effects',
+    'resume.download': 'Download CV',
+    'export.label': 'Download profile:',
+    'export.json': 'Download profile (JSON Resume)',
+    'export.vcard': 'Download contact card (vCard)',
+    'analytics.on': 'Anonymous visit statistics enabled (no cookies).',
+    'analytics.off': 'Anonymous visit statistics disabled.',
+    'analytics.dnt': 'Visit statistics disabled by your browser\'s Do Not Track.',
+    'analytics.disable': 'Disable',
+    'analytics.enable': 'Enable',
+    'offline.message': 'You are offline. Showing the saved version of the page.',
+    'offline.update': 'A new version is available.',
+    'offline.reload': 'Reload',
+    'offline.dismiss': 'Dismiss',
+    'footer.rights': 'All rights reserved.',
+    'footer.madeWith': 'Made with',
+    'footer.andTech': 'and technology',
+    'dates.present': 'Present',
+    'dates.semester': ({ count }) => {
+      const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+      return `${count}${suffixes[new Intl.PluralRules('en', { type: 'ordinal' }).select(count)]} semester`;
+    },
+    'dates.years': { one: '{count} year', other: '{count} years' },
+    'dates.months': { one: '{count} month', other: '{count} months' },
+    'dates.experience': { one: '{count}+ year', other: '{count}+ years' },
+    'console.welcome': "🚀 Welcome to Nicoly Rodrigues' portfolio!",
+    'console.recruiter': '👀 Recruiter? Great to see you here! This site was built with modern, modular JS.',
+    'console.docs': 'The source of this script is documented (JSDoc) to show my best practices.',
+    'console.debugHint': '💡 P.S.: Add #debug to the URL to enable the performance monitor (FPS, etc.)'
+  }
+};
 
 // ============================================
 // UTILITÁRIOS
@@ -102,6 +488,8 @@ const DOM = {
     Object.entries(props).forEach(([key, value]) => {
       if (key === 'className') {
         element.className = value;
+      } else if (key === 'textContent') {
+        element.textContent = value;
       } else if (key === 'style' && typeof value === 'object') {
         Object.assign(element.style, value);
       } else if (key.startsWith('on') && typeof value === 'function') {
@@ -114,6 +502,17 @@ const DOM = {
     return element;
   },
   
+  /**
+   * Retorna os nós (e seus descendentes) que correspondem a um seletor.
+   * @param {HTMLElement[]} nodes - Os nós raiz da busca.
+   * @param {string} selector - O seletor CSS.
+   * @returns {HTMLElement[]} Os elementos encontrados, incluindo as próprias raízes.
+   */
+  matchAll: (nodes, selector) => Array.from(new Set(nodes.flatMap(node => [
+    ...(node.matches(selector) ? [node] : []),
+    ...DOM.selectAll(selector, node)
+  ]))),
+  
   /**
    * Adiciona uma classe a um elemento após um atraso.
    * @param {HTMLElement} element - O elemento alvo.
@@ -122,6 +521,22 @@ const DOM = {
    */
   addClassWithDelay: (element, className, delay = 0) => {
     setTimeout(() => element.classList.add(className), delay);
+  },
+  
+  /**
+   * Oferece um conteúdo gerado no navegador como download de arquivo.
+   * @param {string} filename - O nome do arquivo (ex: 'relatorio.json').
+   * @param {string} content - O conteúdo.
+   * @param {string} [type='application/json'] - O tipo MIME.
+   */
+  download: (filename, content, type = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = DOM.create('a', { href: url, download: filename, hidden: '' });
+    
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 };
 
@@ -156,6 +571,185 @@ const MathUtils = {
   clamp: (value, min, max) => Math.min(Math.max(value, min), max)
 };
 
+/**
+ * @namespace DateUtils
+ * Utilitários para cálculo e formatação de datas e durações.
+ */
+const DateUtils = {
+  /**
+   * Converte uma data no formato 'AAAA', 'AAAA-MM' ou 'AAAA-MM-DD' (horário local).
+   * @param {string} value - A data em formato ISO parcial.
+   * @returns {Date}
+   */
+  parse: (value) => {
+    const [year, month = 1, day = 1] = String(value).split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+  
+  /**
+   * Calcula quantos meses completos se passaram entre duas datas.
+   * @param {Date} start - Data inicial.
+   * @param {Date} [end=new Date()] - Data final.
+   * @returns {number} O número de meses (nunca negativo).
+   */
+  monthsBetween: (start, end = new Date()) => {
+    const months = (end.getFullYear() - start.getFullYear()) * 12
+      + (end.getMonth() - start.getMonth())
+      - (end.getDate() < start.getDate() ? 1 : 0);
+    return Math.max(0, months);
+  },
+  
+  /**
+   * Formata uma data como "Março 2025".
+   * @param {Date} date - A data.
+   * @param {string} [locale=I18N.locale] - O idioma da formatação.
+   * @returns {string}
+   */
+  formatMonthYear: (date, locale = I18N.locale) => {
+    const month = date.toLocaleDateString(locale, { month: 'long' });
+    return `${month.charAt(0).toUpperCase()}${month.slice(1)} ${date.getFullYear()}`;
+  },
+  
+  /**
+   * Formata uma duração em meses como "1 ano 3 meses".
+   * @param {number} months - A duração em meses.
+   * @returns {string}
+   */
+  formatDuration: (months) => {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+    
+    if (years) parts.push(I18N.t('dates.years', { count: years }));
+    if (rest || !years) parts.push(I18N.t('dates.months', { count: rest }));
+    return parts.join(' ');
+  },
+  
+  /**
+   * Formata o tempo de experiência de uma habilidade como "3+ anos" (ou "8 meses", se menor que um ano).
+   * @param {number} months - O tempo de experiência em meses.
+   * @returns {string}
+   */
+  formatExperience: (months) => {
+    const years = Math.floor(months / 12);
+    if (!years) return DateUtils.formatDuration(Math.max(months, 1));
+    return I18N.t('dates.experience', { count: years });
+  }
+};
+
+/**
+ * @namespace LocalStore
+ * Acesso ao localStorage com serialização JSON e tolerância a falhas
+ * (modo privado, cota excedida ou armazenamento desabilitado).
+ */
+const LocalStore = {
+  /**
+   * Lê um valor salvo.
+   * @param {string} key - A chave.
+   * @param {*} [fallback=null] - Valor retornado se a chave não existir ou não puder ser lida.
+   * @returns {*}
+   */
+  get: (key, fallback = null) => {
+    try {
+      const value = localStorage.getItem(key);
+      return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+      return fallback;
+    }
+  },
+  
+  /**
+   * Salva um valor.
+   * @param {string} key - A chave.
+   * @param {*} value - O valor (serializável em JSON).
+   * @returns {boolean} Se o valor foi salvo.
+   */
+  set: (key, value) => {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  },
+  
+  /**
+   * Remove um valor salvo.
+   * @param {string} key - A chave.
+   */
+  remove: (key) => {
+    try {
+      localStorage.removeItem(key);
+    } catch (error) {
+      // Armazenamento indisponível: nada a remover
+    }
+  }
+};
+
+/**
+ * @namespace I18N
+ * Idioma ativo e tradução de textos (ver TRANSLATIONS).
+ */
+const I18N = {
+  /** @type {string} O idioma ativo (alterado pelo LanguageSwitcher). */
+  locale: CONFIG.I18N.LOCALES[0],
+  
+  /**
+   * Traduz uma chave no idioma ativo (com fallback para o idioma padrão e, por fim, a própria chave).
+   * @param {string} key - A chave do dicionário (ex: 'nav.about').
+   * @param {object} [params={}] - Valores para os marcadores {nome}; count escolhe o plural.
+   * @returns {string}
+   */
+  t: (key, params = {}) => {
+    const dictionary = TRANSLATIONS[I18N.locale] || {};
+    let value = key in dictionary ? dictionary[key] : TRANSLATIONS[CONFIG.I18N.LOCALES[0]][key];
+    
+    if (value === undefined) return key;
+    if (typeof value === 'function') return value(params);
+    if (typeof value === 'object') value = params.count === 1 ? value.one : value.other;
+    
+    return value.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+  },
+  
+  /**
+   * Resolve, recursivamente, os valores de conteúdo localizados ({ "pt-BR": ..., "en": ... }).
+   * @param {*} value - Um valor simples, array, objeto comum ou objeto indexado por idioma.
+   * @returns {*} O valor com todos os trechos localizados no idioma ativo
+   *   (ou no padrão, se faltar a tradução).
+   */
+  resolve: (value) => {
+    if (Array.isArray(value)) return value.map(I18N.resolve);
+    if (!value || typeof value !== 'object') return value;
+    
+    if (CONFIG.I18N.LOCALES.some(locale => locale in value)) {
+      return I18N.resolve(I18N.locale in value ? value[I18N.locale] : value[CONFIG.I18N.LOCALES[0]]);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, I18N.resolve(item)]));
+  }
+};
+
+/**
+ * @namespace ThemeTokens
+ * Acesso às variáveis CSS do tema ativo. Prefira alpha() em estilos inline:
+ * ele referencia a variável, então o elemento acompanha as trocas de tema.
+ */
+const ThemeTokens = {
+  /**
+   * Lê o valor atual de uma variável do tema (ex: para o console ou um canvas).
+   * @param {string} name - O nome da variável, sem '--' (ex: 'primary-color').
+   * @returns {string}
+   */
+  get: (name) => getComputedStyle(document.documentElement).getPropertyValue(`--${name}`).trim(),
+  
+  /**
+   * Monta uma cor do tema com transparência, ex: alpha('primary', 0.2).
+   * @param {string} name - A cor, com variável --{name}-rgb correspondente.
+   * @param {number} alpha - A opacidade (0 a 1).
+   * @returns {string} Uma expressão CSS rgba() que referencia a variável.
+   */
+  alpha: (name, alpha) => `rgba(var(--${name}-rgb), ${alpha})`
+};
+
 /**
  * @namespace Performance
  * Utilitários de otimização de performance.
@@ -199,19 +793,110 @@ const Performance = {
   supportsIntersectionObserver: () => 'IntersectionObserver' in window
 };
 
+/**
+ * @namespace Options
+ * Opções por instância mescladas sobre os padrões de CONFIG, e a leitura delas a
+ * partir de atributos data-* do HTML.
+ */
+const Options = {
+  /**
+   * Mescla as opções de uma instância sobre uma seção de CONFIG. As chaves da seção viram
+   * camelCase sem o prefixo (TYPING_DELETE_SPEED → deleteSpeed, com prefix 'TYPING_').
+   * Os padrões são lidos de CONFIG a cada acesso, então ajustes em tempo de execução
+   * (painel de configuração) continuam valendo onde a instância não os sobrescreveu;
+   * atribuir uma opção (options.speed = 80) a sobrescreve só nesta instância.
+   * @param {object} section - A seção de CONFIG, ex: CONFIG.PARTICLES.
+   * @param {object} [options={}] - As opções da instância (valores undefined são ignorados).
+   * @param {string} [prefix=''] - Prefixo das chaves da seção que pertencem à classe.
+   * @returns {object}
+   */
+  merge: (section, options = {}, prefix = '') => {
+    const defaults = {};
+    Object.keys(section)
+      .filter(key => key.startsWith(prefix))
+      .forEach(key => {
+        const name = Options.toCamelCase(key.slice(prefix.length));
+        Object.defineProperty(defaults, name, {
+          get: () => section[key],
+          set(value) {
+            Object.defineProperty(this, name, { value, writable: true, enumerable: true, configurable: true });
+          },
+          enumerable: true
+        });
+      });
+    
+    const own = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+    return Object.assign(Object.create(defaults), own);
+  },
+  
+  /**
+   * Converte uma chave de CONFIG para camelCase, ex: COUNT_DESKTOP → countDesktop.
+   * @param {string} key - A chave em SNAKE_CASE.
+   * @returns {string}
+   */
+  toCamelCase: (key) => key.toLowerCase().replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase()),
+  
+  /**
+   * Lê as opções declaradas em atributos data-{prefix}-*, ex: data-typing-speed="80"
+   * → { speed: 80 }. Valores em JSON (números, booleanos, arrays) são convertidos;
+   * os demais ficam como texto.
+   * @param {HTMLElement | null} element - O elemento com os atributos.
+   * @param {string} prefix - O prefixo dos atributos, ex: 'typing'.
+   * @returns {object}
+   */
+  fromDataset: (element, prefix) => {
+    if (!element) return {};
+    
+    return Object.fromEntries(Object.entries(element.dataset)
+      .filter(([key]) => key.length > prefix.length && key.startsWith(prefix))
+      .map(([key, value]) => {
+        const name = key.charAt(prefix.length).toLowerCase() + key.slice(prefix.length + 1);
+        try {
+          return [name, JSON.parse(value)];
+        } catch (error) {
+          return [name, value];
+        }
+      }));
+  }
+};
+
 // ============================================
 // CLASSE: GERENCIADOR DE ANIMAÇÕES
 // ============================================
 /**
  * @class AnimationController
- * Gerencia as animações de "reveal-on-scroll" usando IntersectionObserver.
+ * Gerencia as animações de "reveal-on-scroll" usando IntersectionObserver. Cada
+ * elemento .reveal pode declarar:
+ * - data-reveal: a variante (fade-up, o padrão; slide-left, slide-right, zoom, blur-in);
+ * - data-reveal-delay: atraso fixo em ms (em vez do escalonamento pela posição na grade);
+ * - data-reveal-duration (ms) e data-reveal-easing: a transição do reveal;
+ * - data-reveal-repeat="true": some ao sair da viewport e é revelado de novo ao voltar.
  */
 class AnimationController {
-  constructor() {
+  /**
+   * @param {object} [options] - Sobrescreve CONFIG.ANIMATIONS.REVEAL_* nesta instância.
+   * @param {number} [options.threshold] - Fração visível que dispara o reveal.
+   * @param {number} [options.delay] - Atraso entre elementos de uma mesma grade, em ms.
+   * @param {boolean} [options.repeat] - Se os elementos somem ao sair e voltam ao entrar.
+   */
+  constructor(options = {}) {
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.ANIMATIONS, options, 'REVEAL_');
     /** @private @type {IntersectionObserver | null} */
     this.observer = null;
     /** @private @type {HTMLElement[]} */
     this.elements = [];
+    /** @private @type {Map<HTMLElement, number>} Reveals agendados (elemento → timeout). */
+    this.pending = new Map();
+    /** @type {boolean} */
+    this.reducedMotion = false;
+    
+    /** @private Encerra a transição própria do reveal (as de hover voltam a valer). */
+    this.transitionHandler = (e) => {
+      if (e.propertyName === 'opacity' && e.target.classList.contains('revealing')) {
+        e.target.classList.remove('revealing');
+      }
+    };
   }
   
   /**
@@ -225,6 +910,7 @@ class AnimationController {
     
     this.setupObserver();
     this.observeElements();
+    document.addEventListener('transitionend', this.transitionHandler);
   }
   
   /**
@@ -234,7 +920,7 @@ class AnimationController {
   setupObserver() {
     const options = {
       root: null,
-      threshold: CONFIG.ANIMATIONS.REVEAL_THRESHOLD,
+      threshold: this.options.threshold,
       rootMargin: '0px 0px -50px 0px'
     };
     
@@ -250,25 +936,109 @@ class AnimationController {
    * @param {IntersectionObserverEntry[]} entries - As entradas do observador.
    */
   handleIntersection(entries) {
-    entries.forEach((entry, index) => {
-      if (entry.isIntersecting && !entry.target.classList.contains('visible')) {
-        const delay = index * CONFIG.ANIMATIONS.REVEAL_DELAY;
-        this.revealElement(entry.target, delay);
+    entries.forEach(({ target, isIntersecting }) => {
+      if (isIntersecting) {
+        if (!target.classList.contains('visible') && !this.pending.has(target)) {
+          this.revealElement(target, this.getDelay(target));
+        }
+      } else if (this.shouldRepeat(target)) {
+        this.hideElement(target);
       }
     });
   }
   
   /**
    * @private
-   * Torna um elemento visível com um atraso.
+   * As opções de reveal de um elemento: os atributos data-reveal-* sobre as da instância.
+   * @param {HTMLElement} element - O elemento.
+   * @returns {object}
+   */
+  getSettings(element) {
+    return Object.assign(Object.create(this.options), Options.fromDataset(element, 'reveal'));
+  }
+  
+  /**
+   * A posição de um elemento entre os .reveal visíveis da sua grade (SELECTORS.REVEAL_STAGGER),
+   * usada para escalonar os reveals na ordem em que aparecem; 0 fora das grades.
+   * @param {HTMLElement} element - O elemento.
+   * @returns {number}
+   */
+  static getStaggerIndex(element) {
+    const parent = element.parentElement;
+    if (!parent || !parent.matches(SELECTORS.REVEAL_STAGGER)) return 0;
+    
+    return Array.from(parent.children)
+      .filter(child => child.matches(SELECTORS.REVEAL_ELEMENTS) && !child.hidden)
+      .indexOf(element);
+  }
+  
+  /**
+   * @private
+   * O atraso do reveal de um elemento: o data-reveal-delay dele (em ms) ou a posição
+   * dele na grade.
+   * @param {HTMLElement} element - O elemento revelado.
+   * @returns {number}
+   */
+  getDelay(element) {
+    if (this.reducedMotion) return 0;
+    
+    const { delay } = Options.fromDataset(element, 'reveal');
+    return Number.isFinite(delay)
+      ? delay
+      : Math.max(AnimationController.getStaggerIndex(element), 0) * this.options.delay;
+  }
+  
+  /**
+   * @private
+   * @param {HTMLElement} element - O elemento que saiu da viewport.
+   * @returns {boolean} Se o elemento deve ser ocultado para ser revelado de novo.
+   */
+  shouldRepeat(element) {
+    return !this.reducedMotion && this.getSettings(element).repeat === true;
+  }
+  
+  /**
+   * @private
+   * Aplica a duração e o easing declarados no elemento (variáveis usadas por .reveal em style.css).
+   * @param {HTMLElement} element - O elemento .reveal.
+   */
+  prepareElement(element) {
+    const { duration, easing } = Options.fromDataset(element, 'reveal');
+    
+    if (duration !== undefined) {
+      element.style.setProperty('--reveal-duration', typeof duration === 'number' ? `${duration}ms` : duration);
+    }
+    if (easing !== undefined) {
+      element.style.setProperty('--reveal-easing', easing);
+    }
+  }
+  
+  /**
+   * @private
+   * Torna um elemento visível com um atraso. Enquanto a transição do reveal acontece, o
+   * elemento recebe .revealing, para que ela prevaleça sobre a transição própria do card.
    * @param {HTMLElement} element - O elemento para revelar.
    * @param {number} delay - O atraso em ms.
    */
   revealElement(element, delay) {
-    setTimeout(() => {
+    clearTimeout(this.pending.get(element));
+    this.pending.set(element, setTimeout(() => {
+      this.pending.delete(element);
+      if (!this.reducedMotion) element.classList.add('revealing');
       element.classList.add('visible');
       this.applySpecialEffects(element);
-    }, delay);
+    }, delay));
+  }
+  
+  /**
+   * @private
+   * Oculta um elemento revelado (ou cancela o reveal agendado) para revelá-lo de novo.
+   * @param {HTMLElement} element - O elemento que saiu da viewport.
+   */
+  hideElement(element) {
+    clearTimeout(this.pending.get(element));
+    this.pending.delete(element);
+    element.classList.remove('visible', 'revealing');
   }
   
   /**
@@ -284,7 +1054,7 @@ class AnimationController {
   
   /**
    * @private
-   * Anima um card de habilidade e adiciona um "badge" de experiência (simulado).
+   * Anima um card de habilidade e adiciona um "badge" de experiência.
    * @param {HTMLElement} card - O elemento .skill-card.
    */
   animateSkillCard(card) {
@@ -292,27 +1062,32 @@ class AnimationController {
     
     if (icon && !card.dataset.animated) {
       card.dataset.animated = 'true';
+      this.addExperienceBadge(card);
+      
+      if (this.reducedMotion) return;
       
       // Reseta e reinicia animação
       icon.style.animation = 'none';
       setTimeout(() => {
         icon.style.animation = 'iconBounce 0.6s ease, iconFloat 3s ease-in-out infinite 0.6s';
       }, 10);
-      
-      this.addExperienceBadge(card);
     }
   }
   
   /**
    * @private
-   * Adiciona um "badge" de experiência simulado ao card.
+   * Adiciona ao card um "badge" com o tempo de experiência declarado em
+   * data-since (data de início, ex: "2023-02") ou data-years (anos fixos).
+   * Cards sem nenhum dos dois atributos ficam sem badge.
    * @param {HTMLElement} card - O elemento .skill-card.
    */
   addExperienceBadge(card) {
-    const experience = MathUtils.randomInt(
-      CONFIG.SKILL_EXPERIENCE_MIN,
-      CONFIG.SKILL_EXPERIENCE_MAX
-    );
+    const { since, years } = card.dataset;
+    const months = since
+      ? DateUtils.monthsBetween(DateUtils.parse(since))
+      : Number(years) * 12;
+    
+    if (!since && !months) return;
     
     const badge = DOM.create('div', {
       className: 'experience-badge',
@@ -320,7 +1095,7 @@ class AnimationController {
         position: 'absolute',
         top: '10px',
         right: '10px',
-        background: 'rgba(248, 24, 148, 0.2)',
+        background: ThemeTokens.alpha('primary', 0.2),
         color: 'var(--primary-color)',
         padding: '5px 10px',
         borderRadius: '15px',
@@ -333,7 +1108,8 @@ class AnimationController {
       }
     });
     
-    badge.textContent = `${experience}+ anos`;
+    badge.dataset.months = months;
+    badge.textContent = DateUtils.formatExperience(months);
     card.style.position = 'relative';
     card.appendChild(badge);
   }
@@ -344,7 +1120,79 @@ class AnimationController {
    */
   observeElements() {
     this.elements = DOM.selectAll(SELECTORS.REVEAL_ELEMENTS);
-    this.elements.forEach(el => this.observer.observe(el));
+    this.elements.forEach(el => {
+      this.prepareElement(el);
+      this.observer.observe(el);
+    });
+  }
+  
+  /**
+   * Entra no modo de movimento reduzido: os elementos ainda ocultos aparecem
+   * imediatamente e os próximos reveals não têm atraso escalonado.
+   */
+  enableReducedMotion() {
+    this.reducedMotion = true;
+    this.elements.forEach(el => {
+      if (!el.classList.contains('visible')) this.revealElement(el, 0);
+    });
+  }
+  
+  /**
+   * Sai do modo de movimento reduzido (os próximos reveals voltam a ser escalonados).
+   */
+  disableReducedMotion() {
+    this.reducedMotion = false;
+  }
+  
+  /**
+   * Reescreve o texto dos badges de experiência no idioma ativo.
+   */
+  refreshBadges() {
+    DOM.selectAll('.experience-badge').forEach(badge => {
+      badge.textContent = DateUtils.formatExperience(Number(badge.dataset.months));
+    });
+  }
+  
+  /**
+   * Passa a observar novos elementos .reveal (ex: conteúdo renderizado dinamicamente).
+   * Elementos antigos que saíram do DOM deixam de ser observados.
+   * @param {HTMLElement[]} nodes - Os nós adicionados (seus descendentes também são verificados).
+   * @returns {HTMLElement[]} Os elementos que passaram a ser observados.
+   */
+  observe(nodes) {
+    const targets = DOM.matchAll(nodes, SELECTORS.REVEAL_ELEMENTS).filter(el => !this.elements.includes(el));
+    
+    if (!this.observer) {
+      targets.forEach(el => el.classList.add('visible'));
+      return targets;
+    }
+    
+    this.elements = this.elements.filter(el => {
+      if (el.isConnected) return true;
+      this.observer.unobserve(el);
+      return false;
+    });
+    
+    targets.forEach(el => {
+      this.prepareElement(el);
+      this.observer.observe(el);
+    });
+    this.elements.push(...targets);
+    
+    if (this.reducedMotion) {
+      targets.forEach(el => this.revealElement(el, 0));
+    }
+    
+    return targets;
+  }
+  
+  /**
+   * Observa os elementos .reveal adicionados à página desde a última busca (ex: por
+   * scripts de terceiros, fora do hydrateContent).
+   * @returns {HTMLElement[]} Os elementos que passaram a ser observados.
+   */
+  refresh() {
+    return this.observe([document.body]);
   }
   
   /**
@@ -357,12 +1205,17 @@ class AnimationController {
   }
   
   /**
-   * Destrói o observador e limpa referências.
+   * Destrói o observador e limpa referências (os elementos já revelados continuam visíveis).
    */
   destroy() {
     if (this.observer) {
       this.observer.disconnect();
     }
+    this.observer = null;
+    this.elements = [];
+    this.pending.forEach(timeoutId => clearTimeout(timeoutId));
+    this.pending.clear();
+    document.removeEventListener('transitionend', this.transitionHandler);
   }
 }
 
@@ -375,15 +1228,23 @@ class AnimationController {
  */
 class ParticleSystem {
   /**
-   * @param {string} containerId - O ID do elemento container.
+   * @param {string | HTMLElement} container - O seletor CSS ou elemento container.
+   * @param {object} [options] - Sobrescreve CONFIG.PARTICLES nesta instância (ex: sizeMax).
+   * @param {number} [options.count] - Quantidade fixa de partículas (em vez da responsiva).
    */
-  constructor(containerId) {
+  constructor(container, options = {}) {
     /** @type {HTMLElement | null} */
-    this.container = DOM.select(containerId);
+    this.container = typeof container === 'string' ? DOM.select(container) : container;
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.PARTICLES, options);
     /** @private @type {HTMLElement[]} */
     this.particles = [];
+    /** @private @type {number} */
+    this.countScale = 1;
     /** @type {boolean} */
     this.isActive = false;
+    /** @type {boolean} */
+    this.reducedMotion = false;
   }
   
   /**
@@ -415,13 +1276,35 @@ class ParticleSystem {
   
   /**
    * @private
-   * Retorna a contagem de partículas com base na largura da tela.
+   * Retorna a contagem de partículas: a fixa (options.count) ou a da largura da tela.
    * @returns {number}
    */
   getParticleCount() {
-    return window.innerWidth > CONFIG.BREAKPOINTS.TABLET
-      ? CONFIG.PARTICLES.COUNT_DESKTOP
-      : CONFIG.PARTICLES.COUNT_MOBILE;
+    const responsive = window.innerWidth > CONFIG.BREAKPOINTS.TABLET
+      ? this.options.countDesktop
+      : this.options.countMobile;
+    const count = this.options.count ?? responsive;
+    return Math.round(count * this.countScale);
+  }
+  
+  /**
+   * Ajusta a quantidade de partículas (ex: pelo governador de qualidade).
+   * @param {number} scale - Fração da quantidade padrão (1 = todas).
+   */
+  setCountScale(scale) {
+    if (scale === this.countScale) return;
+    this.countScale = scale;
+    if (!this.container) return;
+    
+    const count = this.getParticleCount();
+    this.particles.splice(count).forEach(p => p.remove());
+    
+    while (this.particles.length < count) {
+      const particle = this.createParticle();
+      if (!this.isActive) particle.style.animationPlayState = 'paused';
+      this.particles.push(particle);
+      this.container.appendChild(particle);
+    }
   }
   
   /**
@@ -430,11 +1313,11 @@ class ParticleSystem {
    * @returns {HTMLElement}
    */
   createParticle() {
-    const size = MathUtils.random(CONFIG.PARTICLES.SIZE_MIN, CONFIG.PARTICLES.SIZE_MAX);
+    const size = MathUtils.random(this.options.sizeMin, this.options.sizeMax);
     const startX = MathUtils.random(0, 100);
     const drift = MathUtils.random(-200, 200);
     const delay = MathUtils.random(0, 10);
-    const duration = MathUtils.random(CONFIG.PARTICLES.DURATION_MIN, CONFIG.PARTICLES.DURATION_MAX);
+    const duration = MathUtils.random(this.options.durationMin, this.options.durationMax);
     
     return DOM.create('div', {
       className: 'particle',
@@ -458,13 +1341,33 @@ class ParticleSystem {
   }
   
   /**
-   * Retoma a animação das partículas.
+   * Retoma a animação das partículas (exceto no modo de movimento reduzido).
    */
   resume() {
+    if (this.reducedMotion) return;
+    
     this.particles.forEach(p => p.style.animationPlayState = 'running');
     this.isActive = true;
   }
   
+  /**
+   * Entra no modo de movimento reduzido: pausa e oculta as partículas.
+   */
+  enableReducedMotion() {
+    this.pause();
+    this.reducedMotion = true;
+    if (this.container) this.container.style.visibility = 'hidden';
+  }
+  
+  /**
+   * Sai do modo de movimento reduzido: exibe e retoma as partículas.
+   */
+  disableReducedMotion() {
+    this.reducedMotion = false;
+    if (this.container) this.container.style.visibility = '';
+    this.resume();
+  }
+  
   /**
    * Remove todas as partículas do DOM.
    */
@@ -476,34 +1379,438 @@ class ParticleSystem {
 }
 
 // ============================================
-// CLASSE: EFEITO DE DIGITAÇÃO
+// CLASSE: SISTEMA DE PARTÍCULAS (CANVAS)
 // ============================================
 /**
- * @class TypingEffect
- * Gerencia o efeito de digitação no subtítulo.
+ * @class CanvasParticleSystem
+ * Renderizador alternativo ao ParticleSystem: desenha as partículas em um único <canvas>
+ * (com escala para o devicePixelRatio), liga as partículas próximas com linhas e faz
+ * com que se afastem do (ou sejam atraídas pelo) ponteiro. A quantidade acompanha a
+ * área do container e é recalculada ao redimensionar. Mesma API do ParticleSystem.
  */
-class TypingEffect {
+class CanvasParticleSystem {
   /**
-   * @param {string | HTMLElement} selector - O seletor CSS ou elemento.
-   * @param {string[]} [words=TYPING_WORDS] - Array de palavras para digitar.
+   * @param {string | HTMLElement} container - O seletor CSS ou elemento container.
+   * @param {object} [options] - Sobrescreve CONFIG.PARTICLES nesta instância (ex: linkDistance).
+   * @param {number} [options.count] - Quantidade fixa de partículas (em vez da proporcional à área).
    */
-  constructor(selector, words = TYPING_WORDS) {
+  constructor(container, options = {}) {
     /** @type {HTMLElement | null} */
-    this.element = typeof selector === 'string' ? DOM.select(selector) : selector;
-    /** @type {string[]} */
-    this.words = words;
+    this.container = typeof container === 'string' ? DOM.select(container) : container;
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.PARTICLES, options);
+    /** @private @type {HTMLCanvasElement | null} */
+    this.canvas = null;
+    /** @private @type {CanvasRenderingContext2D | null} */
+    this.ctx = null;
+    /** @private @type {{x: number, y: number, vx: number, vy: number, size: number}[]} */
+    this.particles = [];
     /** @private @type {number} */
-    this.wordIndex = 0;
+    this.countScale = 1;
     /** @private @type {number} */
-    this.charIndex = 0;
-    /** @private @type {boolean} */
-    this.isDeleting = false;
-    /** @type {boolean} */
-    this.isRunning = false;
+    this.width = 0;
+    /** @private @type {number} */
+    this.height = 0;
+    /** @private @type {{x: number, y: number} | null} */
+    this.pointer = null;
+    /** @private @type {{fill: string, rgb: string}} */
+    this.colors = { fill: '', rgb: '' };
+    /** @private @type {number | null} */
+    this.animationId = null;
+    /** @private @type {number} */
+    this.lastTime = 0;
+    /** @private @type {MutationObserver | null} */
+    this.themeObserver = null;
+    /** @type {boolean} */
+    this.isActive = false;
+    /** @type {boolean} */
+    this.reducedMotion = false;
+    
+    /** @private */
+    this.resizeHandler = Performance.debounce(() => this.resize(), 200);
+    /** @private */
+    this.pointerHandler = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      this.pointer = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+    /** @private */
+    this.leaveHandler = (e) => {
+      if (!e.relatedTarget) this.pointer = null;
+    };
+  }
+  
+  /**
+   * Verifica se o navegador consegue desenhar em canvas 2D.
+   * @returns {boolean}
+   */
+  static isSupported() {
+    try {
+      return Boolean(document.createElement('canvas').getContext('2d'));
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  /**
+   * Cria o renderizador configurado (options.renderer ou CONFIG.PARTICLES.RENDERER),
+   * com o ParticleSystem em DOM como fallback sem suporte a canvas.
+   * @param {string | HTMLElement} container - O seletor CSS ou elemento container.
+   * @param {object} [options={}] - As opções da instância.
+   * @returns {CanvasParticleSystem | ParticleSystem}
+   */
+  static create(container, options = {}) {
+    const renderer = options.renderer ?? CONFIG.PARTICLES.RENDERER;
+    return renderer === 'canvas' && CanvasParticleSystem.isSupported()
+      ? new CanvasParticleSystem(container, options)
+      : new ParticleSystem(container, options);
+  }
+  
+  /**
+   * Inicializa: cria o canvas, as partículas e inicia a animação.
+   */
+  init() {
+    if (!this.container) {
+      console.warn('Container de partículas não encontrado');
+      return;
+    }
+    
+    this.canvas = DOM.create('canvas', { className: 'particle-canvas', 'aria-hidden': 'true' });
+    this.ctx = this.canvas.getContext('2d');
+    this.container.appendChild(this.canvas);
+    
+    this.refreshColors();
+    this.resize();
+    
+    // As cores vêm das variáveis CSS do tema ativo
+    this.themeObserver = new MutationObserver(() => this.refreshColors());
+    this.themeObserver.observe(document.documentElement, { attributes: true, attributeFilter: ['data-theme'] });
+    
+    window.addEventListener('resize', this.resizeHandler);
+    window.addEventListener('pointermove', this.pointerHandler, { passive: true });
+    document.addEventListener('pointerout', this.leaveHandler);
+    
+    this.start();
+  }
+  
+  /**
+   * @private
+   * Ajusta o canvas ao container (considerando o devicePixelRatio) e a quantidade de partículas à área.
+   */
+  resize() {
+    if (!this.canvas) return;
+    
+    const dpr = window.devicePixelRatio || 1;
+    this.width = this.container.clientWidth || window.innerWidth;
+    this.height = this.container.clientHeight || window.innerHeight;
+    
+    this.canvas.width = Math.round(this.width * dpr);
+    this.canvas.height = Math.round(this.height * dpr);
+    this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    
+    const count = this.getParticleCount();
+    this.particles = this.particles
+      .slice(0, count)
+      .map(p => ({ ...p, x: Math.min(p.x, this.width), y: Math.min(p.y, this.height) }));
+    
+    while (this.particles.length < count) {
+      this.particles.push(this.createParticle());
+    }
+    
+    if (!this.isActive) this.draw();
+  }
+  
+  /**
+   * @private
+   * Retorna a contagem de partículas: a fixa (options.count) ou a proporcional à área do container.
+   * @returns {number}
+   */
+  getParticleCount() {
+    const { count, density, countMin, countMax } = this.options;
+    const base = count ?? MathUtils.clamp(this.width * this.height * density, countMin, countMax);
+    return Math.round(base * this.countScale);
+  }
+  
+  /**
+   * Ajusta a quantidade de partículas (ex: pelo governador de qualidade).
+   * @param {number} scale - Fração da quantidade proporcional à área (1 = todas).
+   */
+  setCountScale(scale) {
+    if (scale === this.countScale) return;
+    this.countScale = scale;
+    this.resize();
+  }
+  
+  /**
+   * @private
+   * Cria uma partícula em posição e direção aleatórias.
+   * @returns {{x: number, y: number, vx: number, vy: number, size: number}}
+   */
+  createParticle() {
+    const angle = MathUtils.random(0, Math.PI * 2);
+    const speed = MathUtils.random(0.3, 1) * this.options.speed;
+    
+    return {
+      x: MathUtils.random(0, this.width),
+      y: MathUtils.random(0, this.height),
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      size: MathUtils.random(this.options.sizeMin, this.options.sizeMax) / 2
+    };
+  }
+  
+  /**
+   * Relê as cores do tema ativo (chamado automaticamente ao trocar de tema).
+   */
+  refreshColors() {
+    this.colors = {
+      fill: ThemeTokens.get('primary-color'),
+      rgb: ThemeTokens.get('primary-rgb')
+    };
+    if (!this.isActive && this.canvas) this.draw();
+  }
+  
+  /**
+   * @private
+   * Inicia o loop de animação.
+   */
+  start() {
+    if (this.animationId || !this.canvas) return;
+    
+    this.isActive = true;
+    this.lastTime = performance.now();
+    
+    const loop = (time) => {
+      // Normaliza pelo tempo do quadro (1 = 60fps), limitando saltos após travadas
+      const dt = Math.min((time - this.lastTime) / (1000 / 60), 3);
+      this.lastTime = time;
+      
+      this.update(dt);
+      this.draw();
+      this.animationId = requestAnimationFrame(loop);
+    };
+    
+    this.animationId = requestAnimationFrame(loop);
+  }
+  
+  /**
+   * @private
+   * Move as partículas, aplicando a força do ponteiro e dando a volta nas bordas.
+   * @param {number} dt - O tempo do quadro, normalizado para 60fps.
+   */
+  update(dt) {
+    const { pointerMode, pointerRadius, pointerForce } = this.options;
+    const direction = pointerMode === 'attract' ? -1 : 1;
+    
+    this.particles.forEach(p => {
+      p.x += p.vx * dt;
+      p.y += p.vy * dt;
+      
+      if (this.pointer) {
+        const dx = p.x - this.pointer.x;
+        const dy = p.y - this.pointer.y;
+        const distance = Math.hypot(dx, dy);
+        
+        if (distance > 0 && distance < pointerRadius) {
+          const force = (1 - distance / pointerRadius) * pointerForce * direction * dt;
+          p.x += (dx / distance) * force;
+          p.y += (dy / distance) * force;
+        }
+      }
+      
+      if (p.x < 0) p.x += this.width;
+      else if (p.x > this.width) p.x -= this.width;
+      if (p.y < 0) p.y += this.height;
+      else if (p.y > this.height) p.y -= this.height;
+    });
+  }
+  
+  /**
+   * @private
+   * Desenha as linhas entre partículas próximas (mais fortes quanto mais perto) e as partículas.
+   */
+  draw() {
+    const { linkDistance } = this.options;
+    const ctx = this.ctx;
+    
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.lineWidth = 1;
+    
+    for (let i = 0; i < this.particles.length; i++) {
+      for (let j = i + 1; j < this.particles.length; j++) {
+        const a = this.particles[i];
+        const b = this.particles[j];
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        
+        if (distance < linkDistance) {
+          ctx.strokeStyle = `rgba(${this.colors.rgb}, ${(1 - distance / linkDistance) * 0.3})`;
+          ctx.beginPath();
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(b.x, b.y);
+          ctx.stroke();
+        }
+      }
+    }
+    
+    ctx.fillStyle = this.colors.fill;
+    ctx.globalAlpha = 0.6;
+    this.particles.forEach(p => {
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, p.size, 0, Math.PI * 2);
+      ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+  }
+  
+  /**
+   * Pausa a animação das partículas.
+   */
+  pause() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.isActive = false;
+  }
+  
+  /**
+   * Retoma a animação das partículas (exceto no modo de movimento reduzido).
+   */
+  resume() {
+    if (this.reducedMotion) return;
+    this.start();
+  }
+  
+  /**
+   * Entra no modo de movimento reduzido: pausa e oculta as partículas.
+   */
+  enableReducedMotion() {
+    this.pause();
+    this.reducedMotion = true;
+    if (this.container) this.container.style.visibility = 'hidden';
+  }
+  
+  /**
+   * Sai do modo de movimento reduzido: exibe e retoma as partículas.
+   */
+  disableReducedMotion() {
+    this.reducedMotion = false;
+    if (this.container) this.container.style.visibility = '';
+    this.resume();
+  }
+  
+  /**
+   * Para a animação e remove o canvas.
+   */
+  destroy() {
+    this.pause();
+    window.removeEventListener('resize', this.resizeHandler);
+    window.removeEventListener('pointermove', this.pointerHandler);
+    document.removeEventListener('pointerout', this.leaveHandler);
+    
+    if (this.themeObserver) this.themeObserver.disconnect();
+    if (this.canvas) this.canvas.remove();
+    
+    this.canvas = null;
+    this.particles = [];
+  }
+}
+
+// ============================================
+// CLASSE: EFEITO DE DIGITAÇÃO
+// ============================================
+/**
+ * @class TypingEffect
+ * Gerencia um efeito de digitação (por padrão, o do subtítulo). A digitação acontece em
+ * um span oculto para leitores de tela (aria-hidden), que leem a lista completa de
+ * palavras em um span .sr-only em vez dos fragmentos que mudam a cada letra.
+ *
+ * O texto avança por grafemas (Intl.Segmenter), então emojis e letras com acentos
+ * combinantes nunca são cortados ao meio. Cada instância tem seu próprio estado e
+ * opções, então várias podem rodar ao mesmo tempo na página.
+ *
+ * @example
+ * const typing = new TypingEffect('.headline', ['Olá', 'Hello 👋'], {
+ *   speed: 80,
+ *   jitter: 0.5,
+ *   onWordComplete: (word) => console.log(word)
+ * });
+ * typing.start(0);
+ */
+class TypingEffect {
+  /**
+   * @param {string | HTMLElement} selector - O seletor CSS ou elemento.
+   * @param {string[]} [words=TYPING_WORDS[I18N.locale]] - Array de palavras para digitar
+   *   (palavras vazias são ignoradas; sem nenhuma, start() não faz nada).
+   * @param {object} [options={}] - Sobrescreve CONFIG.ANIMATIONS.TYPING_* nesta instância.
+   * @param {number} [options.speed] - Intervalo entre letras digitadas, em ms.
+   * @param {number} [options.deleteSpeed] - Intervalo entre letras apagadas, em ms.
+   * @param {number} [options.pause] - Tempo com a palavra completa antes de apagar, em ms.
+   * @param {number} [options.wordDelay] - Tempo antes de começar a próxima palavra, em ms.
+   * @param {number} [options.jitter] - Variação aleatória de cada intervalo, para parecer humano.
+   * @param {boolean} [options.caret] - Se exibe o cursor piscante após o texto.
+   * @param {function(string, number): void} [options.onWordStart] - Chamado ao começar a digitar uma palavra (palavra, índice).
+   * @param {function(string, number): void} [options.onWordComplete] - Chamado quando a palavra fica completa (palavra, índice).
+   * @param {function(number): void} [options.onLoop] - Chamado ao voltar para a primeira palavra (número de voltas completas).
+   */
+  constructor(selector, words = TYPING_WORDS[I18N.locale], options = {}) {
+    /** @type {HTMLElement | null} */
+    this.element = typeof selector === 'string' ? DOM.select(selector) : selector;
+    /** @type {string[]} */
+    this.words = TypingEffect.filterWords(words);
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.ANIMATIONS, options, 'TYPING_');
+    /** @private @type {number} */
+    this.wordIndex = 0;
+    /** @private @type {number} Quantidade de grafemas da palavra atual já exibidos. */
+    this.charIndex = 0;
+    /** @private @type {string[]} Os grafemas da palavra atual. */
+    this.graphemes = [];
+    /** @private @type {number} */
+    this.loops = 0;
+    /** @private @type {boolean} */
+    this.isDeleting = false;
+    /** @type {boolean} */
+    this.isRunning = false;
     /** @private @type {number | null} */
     this.timeoutId = null;
     /** @private @type {string} */
     this.originalText = '';
+    /** @private @type {HTMLElement | null} O span (aria-hidden) onde o texto é digitado. */
+    this.output = null;
+    /** @private @type {HTMLElement | null} O span (.sr-only) com todas as palavras. */
+    this.label = null;
+    /** @private @type {HTMLElement | null} O cursor piscante. */
+    this.caret = null;
+    /** @type {boolean} */
+    this.reducedMotion = false;
+  }
+  
+  /**
+   * Divide um texto em grafemas (o que o usuário vê como um caractere).
+   * Sem Intl.Segmenter, divide por code points (ainda seguro para emojis simples).
+   * @param {string} text - O texto.
+   * @returns {string[]}
+   */
+  static segment(text) {
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      if (!TypingEffect.segmenter) {
+        TypingEffect.segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+      }
+      return Array.from(TypingEffect.segmenter.segment(text), ({ segment }) => segment);
+    }
+    
+    return Array.from(text);
+  }
+  
+  /**
+   * @private
+   * Descarta palavras vazias (ou que não são texto): uma palavra sem grafemas nunca
+   * "completa", e o efeito ficaria preso nela.
+   * @param {string[]} words - As palavras.
+   * @returns {string[]}
+   */
+  static filterWords(words) {
+    return (Array.isArray(words) ? words : []).filter(word => typeof word === 'string' && word.trim() !== '');
   }
   
   /**
@@ -511,48 +1818,123 @@ class TypingEffect {
    * @param {number} [delay=1000] - Atraso inicial em ms.
    */
   start(delay = 1000) {
-    if (!this.element || this.isRunning) return;
+    if (!this.element || this.isRunning || this.reducedMotion || !this.words.length) return;
     
     this.isRunning = true;
-    this.originalText = this.element.textContent || '';
+    this.setupAccessibleText();
     
-    setTimeout(() => {
-      if (this.element) this.element.textContent = '';
+    this.schedule(() => {
+      this.output.textContent = '';
       this.type();
     }, delay);
   }
   
   /**
    * @private
-   * A lógica recursiva de digitação.
+   * Agenda o próximo passo, cancelando qualquer passo pendente (nunca há dois timeouts
+   * da mesma instância ao mesmo tempo).
+   * @param {Function} callback - O passo.
+   * @param {number} delay - Atraso em ms.
+   */
+  schedule(callback, delay) {
+    clearTimeout(this.timeoutId);
+    this.timeoutId = setTimeout(callback, delay);
+  }
+  
+  /**
+   * @private
+   * Separa o elemento em um span visual (digitado), o cursor e um span para leitores de
+   * tela. Refeito se o conteúdo do elemento for substituído (ex: pela tradução do HTML estático).
+   */
+  setupAccessibleText() {
+    if (!this.output || !this.output.isConnected) {
+      this.originalText = this.element.textContent.trim();
+      this.label = DOM.create('span', { className: 'sr-only' });
+      this.output = DOM.create('span', { className: 'typing-text', 'aria-hidden': 'true', textContent: this.originalText });
+      this.caret = this.options.caret
+        ? DOM.create('span', { className: 'typing-caret', 'aria-hidden': 'true' })
+        : null;
+      this.element.replaceChildren(...[this.label, this.output, this.caret].filter(Boolean));
+    }
+    
+    this.label.textContent = this.words.join(', ');
+  }
+  
+  /**
+   * Troca a lista de palavras e reinicia o efeito do começo (ex: ao mudar de idioma).
+   * O texto atual do elemento passa a ser o texto original restaurado no destroy().
+   * @param {string[]} words - As novas palavras.
+   * @param {number} [delay=1000] - Atraso antes de voltar a digitar, em ms.
+   */
+  setWords(words, delay = 1000) {
+    const wasRunning = this.isRunning;
+    
+    this.stop();
+    this.words = TypingEffect.filterWords(words);
+    this.wordIndex = 0;
+    this.charIndex = 0;
+    this.loops = 0;
+    this.isDeleting = false;
+    
+    if (wasRunning) this.start(delay);
+  }
+  
+  /**
+   * @private
+   * Calcula o intervalo do próximo passo, com a variação aleatória aplicada.
+   * @param {number} base - O intervalo base, em ms.
+   * @returns {number}
+   */
+  getDelay(base) {
+    const jitter = MathUtils.clamp(this.options.jitter, 0, 1);
+    return Math.round(base * MathUtils.random(1 - jitter, 1 + jitter));
+  }
+  
+  /**
+   * @private
+   * Dispara um callback das opções, se existir.
+   * @param {string} name - O nome da opção (ex: 'onLoop').
+   * @param {...*} args - Os argumentos.
+   */
+  emit(name, ...args) {
+    if (typeof this.options[name] === 'function') this.options[name](...args);
+  }
+  
+  /**
+   * @private
+   * Um passo da digitação: adiciona ou remove um grafema e agenda o próximo.
    */
   type() {
-    if (!this.isRunning || !this.element) return;
+    if (!this.isRunning || !this.output || !this.words.length) return;
     
     const currentWord = this.words[this.wordIndex];
     
-    if (this.isDeleting) {
-      this.element.textContent = currentWord.substring(0, this.charIndex - 1);
-      this.charIndex--;
-    } else {
-      this.element.textContent = currentWord.substring(0, this.charIndex + 1);
-      this.charIndex++;
+    if (!this.isDeleting && this.charIndex === 0) {
+      this.graphemes = TypingEffect.segment(currentWord);
+      this.emit('onWordStart', currentWord, this.wordIndex);
     }
     
-    let typeSpeed = this.isDeleting 
-      ? CONFIG.ANIMATIONS.TYPING_DELETE_SPEED 
-      : CONFIG.ANIMATIONS.TYPING_SPEED;
+    this.charIndex += this.isDeleting ? -1 : 1;
+    this.output.textContent = this.graphemes.slice(0, this.charIndex).join('');
+    
+    let delay = this.getDelay(this.isDeleting ? this.options.deleteSpeed : this.options.speed);
     
-    if (!this.isDeleting && this.charIndex === currentWord.length) {
-      typeSpeed = CONFIG.ANIMATIONS.TYPING_PAUSE;
+    if (!this.isDeleting && this.charIndex === this.graphemes.length) {
+      delay = this.options.pause;
       this.isDeleting = true;
+      this.emit('onWordComplete', currentWord, this.wordIndex);
     } else if (this.isDeleting && this.charIndex === 0) {
+      delay = this.options.wordDelay;
       this.isDeleting = false;
       this.wordIndex = (this.wordIndex + 1) % this.words.length;
-      typeSpeed = 500;
+      
+      if (this.wordIndex === 0) {
+        this.loops++;
+        this.emit('onLoop', this.loops);
+      }
     }
     
-    this.timeoutId = setTimeout(() => this.type(), typeSpeed);
+    this.schedule(() => this.type(), delay);
   }
   
   /**
@@ -560,26 +1942,51 @@ class TypingEffect {
    */
   stop() {
     this.isRunning = false;
-    if (this.timeoutId) {
-      clearTimeout(this.timeoutId);
-    }
+    clearTimeout(this.timeoutId);
+    this.timeoutId = null;
   }
   
   /**
-   * Pausa o efeito.
+   * Pausa o efeito, mantendo a posição atual.
    */
   pause() {
-    this.isRunning = false;
+    this.stop();
   }
   
   /**
-   * Retoma o efeito.
+   * Retoma o efeito de onde parou.
    */
   resume() {
-    if (!this.isRunning) {
-      this.isRunning = true;
-      this.type();
+    if (this.isRunning || this.reducedMotion || !this.words.length) return;
+    
+    if (!this.output) {
+      this.start(0);
+      return;
+    }
+    
+    this.isRunning = true;
+    this.schedule(() => this.type(), this.options.speed);
+  }
+  
+  /**
+   * Entra no modo de movimento reduzido: para a digitação e mostra o texto completo.
+   */
+  enableReducedMotion() {
+    if (this.isRunning) {
+      this.stop();
+      this.output.textContent = this.originalText || this.words[0];
     }
+    this.reducedMotion = true;
+  }
+  
+  /**
+   * Sai do modo de movimento reduzido e volta a digitar do começo.
+   * @param {number} [delay=1000] - Atraso antes de começar, em ms.
+   */
+  disableReducedMotion(delay = 1000) {
+    this.reducedMotion = false;
+    this.setWords(this.words);
+    this.start(delay);
   }
   
   /**
@@ -590,18 +1997,33 @@ class TypingEffect {
     if (this.originalText && this.element) {
       this.element.textContent = this.originalText;
     }
+    this.output = null;
+    this.label = null;
+    this.caret = null;
   }
 }
 
 // ============================================
 // CLASSE: CURSOR PERSONALIZADO
 // ============================================
+/**
+ * Teclas que indicam navegação pelo teclado (o cursor do sistema volta a aparecer).
+ * @const {string[]}
+ */
+const KEYBOARD_NAVIGATION_KEYS = ['Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'];
+
 /**
  * @class CursorEffect
- * Cria um cursor personalizado que segue o mouse.
+ * Cria um cursor personalizado que segue o mouse. Ao detectar navegação pelo teclado,
+ * devolve o cursor do sistema (e deixa os anéis de foco em evidência) até o mouse se mover de novo.
  */
 class CursorEffect {
-  constructor() {
+  /**
+   * @param {object} [options] - Sobrescreve CONFIG.CURSOR nesta instância (size, dotSize, followSpeed, hoverScale).
+   */
+  constructor(options = {}) {
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.CURSOR, options);
     /** @private @type {HTMLElement | null} */
     this.cursor = null;
     /** @private @type {HTMLElement | null} */
@@ -620,8 +2042,22 @@ class CursorEffect {
     this.dotY = 0;
     /** @private @type {number | null} */
     this.animationId = null;
+    /** @private @type {Function | null} */
+    this.moveHandler = null;
+    /** @private @type {Function | null} */
+    this.keyHandler = null;
+    /** @private @type {boolean} Se o cursor foi devolvido ao sistema (navegação pelo teclado). */
+    this.isReleased = false;
+    /** @private @type {boolean} Se o cursor segue o mouse com atraso suave (rastro). */
+    this.easing = true;
+    /** @private @type {boolean} Se a animação está pausada (ex: aba oculta ou impressão). */
+    this.isPaused = false;
+    /** @private @type {boolean} */
+    this.isSupported = false;
     /** @type {boolean} */
     this.isActive = false;
+    /** @type {boolean} */
+    this.reducedMotion = false;
   }
   
   /**
@@ -632,23 +2068,71 @@ class CursorEffect {
       return; // Não ativar em mobile/tablet
     }
     
-    this.createElements();
+    this.isSupported = true;
     this.attachListeners();
-    this.animate();
+    
+    if (!this.reducedMotion) {
+      this.show();
+    }
+  }
+  
+  /**
+   * @private
+   * Cria o cursor, inicia a animação e esconde o cursor do sistema.
+   */
+  show() {
+    this.createElements();
+    if (!this.isPaused) this.animate();
     this.isActive = true;
+    this.setReleased(this.isPaused);
   }
   
   /**
    * @private
-   * Cria os elementos DOM para o cursor.
+   * Remove o cursor, para a animação e devolve o cursor do sistema.
    */
-  createElements() {
-    this.cursor = DOM.create('div', {
-      className: 'custom-cursor',
-      style: {
-        position: 'fixed',
-        width: `${CONFIG.CURSOR.SIZE}px`,
-        height: `${CONFIG.CURSOR.SIZE}px`,
+  hide() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    if (this.cursor) this.cursor.remove();
+    if (this.cursorDot) this.cursorDot.remove();
+    this.cursor = null;
+    this.cursorDot = null;
+    document.documentElement.classList.remove('custom-cursor-active');
+    this.isActive = false;
+  }
+  
+  /**
+   * Entra no modo de movimento reduzido: desliga o cursor personalizado.
+   */
+  enableReducedMotion() {
+    this.reducedMotion = true;
+    this.hide();
+  }
+  
+  /**
+   * Sai do modo de movimento reduzido: religa o cursor personalizado (em desktops).
+   */
+  disableReducedMotion() {
+    this.reducedMotion = false;
+    if (this.isSupported && !this.isActive) {
+      this.show();
+    }
+  }
+  
+  /**
+   * @private
+   * Cria os elementos DOM para o cursor.
+   */
+  createElements() {
+    this.cursor = DOM.create('div', {
+      className: 'custom-cursor',
+      style: {
+        position: 'fixed',
+        width: `${this.options.size}px`,
+        height: `${this.options.size}px`,
         border: '2px solid var(--primary-color)',
         borderRadius: '50%',
         pointerEvents: 'none',
@@ -663,8 +2147,8 @@ class CursorEffect {
       className: 'custom-cursor-dot',
       style: {
         position: 'fixed',
-        width: `${CONFIG.CURSOR.DOT_SIZE}px`,
-        height: `${CONFIG.CURSOR.DOT_SIZE}px`,
+        width: `${this.options.dotSize}px`,
+        height: `${this.options.dotSize}px`,
         background: 'var(--primary-color)',
         borderRadius: '50%',
         pointerEvents: 'none',
@@ -684,26 +2168,64 @@ class CursorEffect {
    * Adiciona listeners de mouse.
    */
   attachListeners() {
-    document.addEventListener('mousemove', (e) => {
+    this.moveHandler = (e) => {
       this.mouseX = e.clientX;
       this.mouseY = e.clientY;
       
+      if (this.isPaused) return;
+      if (this.isReleased) this.setReleased(false);
       if (this.cursor) this.cursor.style.opacity = '1';
       if (this.cursorDot) this.cursorDot.style.opacity = '1';
-    });
+    };
+    document.addEventListener('mousemove', this.moveHandler);
+    
+    this.keyHandler = (e) => {
+      if (this.isActive && !this.isReleased && KEYBOARD_NAVIGATION_KEYS.includes(e.key)) {
+        this.setReleased(true);
+      }
+    };
+    document.addEventListener('keydown', this.keyHandler);
     
     this.setupHoverEffects();
   }
   
+  /**
+   * @private
+   * Devolve (ou retoma) o cursor do sistema, escondendo o cursor personalizado.
+   * @param {boolean} released - true na navegação pelo teclado, false ao mover o mouse.
+   */
+  setReleased(released) {
+    this.isReleased = released;
+    document.documentElement.classList.toggle('custom-cursor-active', this.isActive && !released);
+    
+    if (released) {
+      if (this.cursor) this.cursor.style.opacity = '0';
+      if (this.cursorDot) this.cursorDot.style.opacity = '0';
+    }
+  }
+  
+  /**
+   * Liga ou desliga o rastro suave do cursor (ex: pelo governador de qualidade).
+   * @param {boolean} enabled - Se o cursor deve seguir o mouse com easing.
+   */
+  setEasing(enabled) {
+    this.easing = enabled;
+  }
+  
   /**
    * @private
    * Configura efeitos de hover para elementos interativos.
    */
   setupHoverEffects() {
-    const selectors = 'a, button, .skill-card, .project-card, .social-btn';
-    const elements = DOM.selectAll(selectors);
-    
-    elements.forEach(el => {
+    this.bindHoverEffects(DOM.selectAll(SELECTORS.HOVER_TARGETS));
+  }
+  
+  /**
+   * Aplica os efeitos de hover a novos elementos (ex: conteúdo renderizado dinamicamente).
+   * @param {HTMLElement[]} nodes - Os nós adicionados (seus descendentes também são verificados).
+   */
+  bindHoverEffects(nodes) {
+    DOM.matchAll(nodes, SELECTORS.HOVER_TARGETS).forEach(el => {
       el.addEventListener('mouseenter', () => this.scaleUp());
       el.addEventListener('mouseleave', () => this.scaleDown());
     });
@@ -715,7 +2237,7 @@ class CursorEffect {
    */
   scaleUp() {
     if (this.cursor) {
-      this.cursor.style.transform = `translate(-50%, -50%) scale(${CONFIG.CURSOR.HOVER_SCALE})`;
+      this.cursor.style.transform = `translate(-50%, -50%) scale(${this.options.hoverScale})`;
       this.cursor.style.borderColor = 'var(--secondary-color)';
     }
   }
@@ -736,13 +2258,17 @@ class CursorEffect {
    * Loop de animação (requestAnimationFrame) para suavizar o movimento do cursor.
    */
   animate() {
+    // Sem easing, os dois elementos acompanham o mouse diretamente
+    const followSpeed = this.easing ? this.options.followSpeed : 1;
+    const dotSpeed = this.easing ? 0.25 : 1;
+    
     // Círculo externo (mais lento)
-    this.cursorX += (this.mouseX - this.cursorX) * CONFIG.CURSOR.FOLLOW_SPEED;
-    this.cursorY += (this.mouseY - this.cursorY) * CONFIG.CURSOR.FOLLOW_SPEED;
+    this.cursorX += (this.mouseX - this.cursorX) * followSpeed;
+    this.cursorY += (this.mouseY - this.cursorY) * followSpeed;
     
     // Bolinha interna (mais rápida)
-    this.dotX += (this.mouseX - this.dotX) * 0.25;
-    this.dotY += (this.mouseY - this.dotY) * 0.25;
+    this.dotX += (this.mouseX - this.dotX) * dotSpeed;
+    this.dotY += (this.mouseY - this.dotY) * dotSpeed;
     
     if (this.cursor) {
       this.cursor.style.left = this.cursorX + 'px';
@@ -758,15 +2284,36 @@ class CursorEffect {
   }
   
   /**
-   * Remove o cursor e para a animação.
+   * Pausa a animação e devolve o cursor do sistema (um cursor parado não acompanharia o mouse).
    */
-  destroy() {
+  pause() {
+    this.isPaused = true;
     if (this.animationId) {
       cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    if (this.isActive) this.setReleased(true);
+  }
+  
+  /**
+   * Retoma a animação. O cursor personalizado volta no próximo movimento do mouse.
+   */
+  resume() {
+    this.isPaused = false;
+    if (this.isActive && !this.animationId) this.animate();
+  }
+  
+  /**
+   * Remove o cursor e para a animação.
+   */
+  destroy() {
+    this.hide();
+    if (this.moveHandler) {
+      document.removeEventListener('mousemove', this.moveHandler);
+    }
+    if (this.keyHandler) {
+      document.removeEventListener('keydown', this.keyHandler);
     }
-    if (this.cursor) this.cursor.remove();
-    if (this.cursorDot) this.cursorDot.remove();
-    this.isActive = false;
   }
 }
 
@@ -810,25 +2357,31 @@ class ScrollProgress {
         width: '0%',
         zIndex: '9999',
         transition: 'width 0.1s ease',
-        boxShadow: '0 0 10px rgba(248, 24, 148, 0.8)'
+        boxShadow: `0 0 10px ${ThemeTokens.alpha('primary', 0.8)}`
       }
     });
     
     document.body.appendChild(this.progressBar);
   }
   
+  /**
+   * Calcula quanto da página já foi rolado.
+   * @returns {number} A porcentagem (0 a 100; 100 se a página não tiver scroll).
+   */
+  static getProgress() {
+    const winScroll = document.documentElement.scrollTop;
+    const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+    return height > 0 ? MathUtils.clamp((winScroll / height) * 100, 0, 100) : 100;
+  }
+  
   /**
    * @private
    * Adiciona o listener de scroll (com throttle) para atualizar a barra.
    */
   attachListener() {
     const updateProgress = Performance.throttle(() => {
-      const winScroll = document.documentElement.scrollTop;
-      const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
-      const scrolled = (winScroll / height) * 100;
-      
       if (this.progressBar) {
-        this.progressBar.style.width = scrolled + '%';
+        this.progressBar.style.width = ScrollProgress.getProgress() + '%';
       }
     }, 16); // ~60fps
     
@@ -850,171 +2403,4890 @@ class ScrollProgress {
 // CLASSE: SMOOTH SCROLL
 // ============================================
 /**
- * @class SmoothScroll
- * Implementa o scroll suave para links âncora (href="#...").
+ * @class SmoothScroll
+ * Implementa o scroll suave para links âncora (href="#...").
+ */
+class SmoothScroll {
+  constructor() {
+    /** @type {boolean} */
+    this.isActive = false;
+    /** @type {boolean} */
+    this.reducedMotion = false;
+  }
+  
+  /**
+   * Inicializa e adiciona os listeners de clique.
+   */
+  init() {
+    this.attachListeners();
+    this.isActive = true;
+  }
+  
+  /**
+   * @private
+   * Adiciona listeners de clique aos links âncora.
+   */
+  attachListeners() {
+    const links = DOM.selectAll('a[href^="#"]');
+    
+    links.forEach(anchor => {
+      anchor.addEventListener('click', (e) => {
+        const href = anchor.getAttribute('href');
+        if (!href || href === '#') return;
+        
+        e.preventDefault();
+        const target = DOM.select(href);
+        
+        if (target) {
+          this.scrollToElement(target);
+          this.moveFocus(target);
+        }
+      });
+    });
+  }
+  
+  /**
+   * Executa o scroll suave para um elemento.
+   * @param {HTMLElement} element - O elemento alvo.
+   * @param {number} [offset] - Deslocamento (padrão: a altura real da navegação fixa).
+   * @param {boolean} [instant] - Salta direto para o alvo (padrão: apenas com movimento reduzido).
+   */
+  scrollToElement(element, offset = SmoothScroll.getNavOffset(), instant = this.reducedMotion) {
+    const targetPosition = element.getBoundingClientRect().top + window.scrollY - offset;
+    
+    window.scrollTo({
+      top: targetPosition,
+      behavior: instant ? 'auto' : 'smooth'
+    });
+  }
+  
+  /**
+   * @private
+   * Move o foco para o alvo do link (como o salto nativo faria), para que a navegação
+   * pelo teclado e os leitores de tela continuem a partir dele (ex: o link "Pular para o conteúdo").
+   * @param {HTMLElement} element - O elemento alvo.
+   */
+  moveFocus(element) {
+    if (!element.matches('a[href], button, input, select, textarea, [tabindex]')) {
+      element.setAttribute('tabindex', '-1');
+    }
+    element.focus({ preventScroll: true });
+  }
+  
+  /**
+   * Retorna a altura atual da navegação fixa (o quanto ela cobre do topo da página).
+   * @returns {number}
+   */
+  static getNavOffset() {
+    const nav = DOM.select(SELECTORS.NAV);
+    return nav ? nav.offsetHeight : 0;
+  }
+  
+  /**
+   * Entra no modo de movimento reduzido: os links passam a saltar direto para o alvo.
+   */
+  enableReducedMotion() {
+    this.reducedMotion = true;
+  }
+  
+  /**
+   * Sai do modo de movimento reduzido: os links voltam a rolar suavemente.
+   */
+  disableReducedMotion() {
+    this.reducedMotion = false;
+  }
+}
+
+// ============================================
+// CLASSE: SCROLL SPY
+// ============================================
+/**
+ * @class ScrollSpy
+ * Destaca na navegação o link da seção visível (aria-current) e mantém o hash da URL
+ * sincronizado via history.replaceState. Ao carregar a página (e ao voltar/avançar no
+ * histórico) restaura a seção do hash, descontando a altura da navegação fixa.
+ * Hashes que não são seções da navegação (ex: #debug) são preservados.
+ */
+class ScrollSpy {
+  /**
+   * @param {SmoothScroll} scroller - O módulo usado para rolar até as seções.
+   * @param {object} [options] - Sobrescreve CONFIG.SCROLL_SPY nesta instância (activationLine).
+   */
+  constructor(scroller, options = {}) {
+    /** @private @type {SmoothScroll} */
+    this.scroller = scroller;
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.SCROLL_SPY, options);
+    /** @private @type {HTMLAnchorElement[]} */
+    this.links = [];
+    /** @private @type {HTMLElement[]} */
+    this.sections = [];
+    /** @type {string | null} */
+    this.activeId = null;
+    /** @private @type {number | null} */
+    this.frameId = null;
+    /** @type {boolean} */
+    this.isActive = false;
+    
+    /** @private */
+    this.scrollHandler = () => this.scheduleUpdate();
+    /** @private */
+    this.restoreHandler = () => this.restore();
+    /** @private */
+    this.pageShowHandler = (e) => {
+      if (e.persisted) this.restore();
+    };
+  }
+  
+  /**
+   * Inicializa: mapeia os links para as seções, restaura o hash e passa a observar o scroll.
+   */
+  init() {
+    this.links = DOM.selectAll(SELECTORS.NAV_LINKS);
+    this.sections = this.links
+      .map(link => DOM.select(link.getAttribute('href')))
+      .filter(Boolean);
+    
+    if (!this.sections.length) return;
+    
+    // A posição é restaurada pelo hash (com o deslocamento da nav), não pelo navegador
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+    
+    window.addEventListener('scroll', this.scrollHandler, { passive: true });
+    window.addEventListener('resize', this.scrollHandler);
+    window.addEventListener('popstate', this.restoreHandler);
+    window.addEventListener('hashchange', this.restoreHandler);
+    window.addEventListener('pageshow', this.pageShowHandler);
+    
+    // Imagens e fontes ainda podem deslocar as seções até o load
+    if (document.readyState !== 'complete') {
+      window.addEventListener('load', this.restoreHandler, { once: true });
+    }
+    
+    this.isActive = true;
+    this.restore();
+  }
+  
+  /**
+   * Rola (sem animação) até a seção indicada no hash da URL, se houver.
+   */
+  restore() {
+    const section = this.findSection(window.location.hash);
+    
+    if (section) {
+      this.scroller.scrollToElement(section, SmoothScroll.getNavOffset(), true);
+    }
+    
+    this.scheduleUpdate();
+  }
+  
+  /**
+   * @private
+   * Agrupa as atualizações em um único quadro de animação.
+   */
+  scheduleUpdate() {
+    if (this.frameId !== null) return;
+    
+    this.frameId = requestAnimationFrame(() => {
+      this.frameId = null;
+      this.update();
+    });
+  }
+  
+  /**
+   * @private
+   * Calcula a seção ativa: a última cujo topo passou da linha de ativação
+   * (ou a última seção, quando a página chega ao fim).
+   */
+  update() {
+    const root = document.documentElement;
+    const atBottom = window.scrollY + window.innerHeight >= root.scrollHeight - 2;
+    const line = SmoothScroll.getNavOffset() + window.innerHeight * this.options.activationLine;
+    
+    const current = atBottom
+      ? this.sections[this.sections.length - 1]
+      : this.sections.filter(section => section.getBoundingClientRect().top <= line).pop();
+    
+    this.setActive(current ? current.id : null);
+  }
+  
+  /**
+   * @private
+   * Marca o link da seção ativa e atualiza o hash da URL.
+   * @param {string | null} id - O id da seção ativa (null acima da primeira seção).
+   */
+  setActive(id) {
+    if (id === this.activeId) return;
+    this.activeId = id;
+    
+    this.links.forEach(link => {
+      if (link.getAttribute('href') === `#${id}`) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+    
+    const hash = window.location.hash;
+    if (hash && !this.findSection(hash)) return;
+    
+    const url = id ? `#${id}` : window.location.pathname + window.location.search;
+    history.replaceState(history.state, '', url);
+  }
+  
+  /**
+   * @private
+   * Retorna a seção da navegação correspondente a um hash.
+   * @param {string} hash - O hash (ex: '#experience').
+   * @returns {HTMLElement | undefined}
+   */
+  findSection(hash) {
+    return this.sections.find(section => `#${section.id}` === hash);
+  }
+  
+  /**
+   * Remove os listeners e o destaque da navegação.
+   */
+  destroy() {
+    window.removeEventListener('scroll', this.scrollHandler);
+    window.removeEventListener('resize', this.scrollHandler);
+    window.removeEventListener('popstate', this.restoreHandler);
+    window.removeEventListener('hashchange', this.restoreHandler);
+    window.removeEventListener('load', this.restoreHandler);
+    window.removeEventListener('pageshow', this.pageShowHandler);
+    
+    if (this.frameId !== null) {
+      cancelAnimationFrame(this.frameId);
+      this.frameId = null;
+    }
+    
+    this.links.forEach(link => link.removeAttribute('aria-current'));
+    this.activeId = null;
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: DATAS DINÂMICAS
+// ============================================
+/**
+ * @class DynamicDates
+ * Mantém atualizados os textos que dependem da data atual, declarados via atributos:
+ * - data-current-year: ano corrente (ex: copyright do rodapé);
+ * - data-semester-start="AAAA-MM" (+ data-semester-total): "6° período";
+ * - data-period-start="AAAA-MM" (+ data-period-end): "Março 2025 - Presente (1 ano 2 meses)".
+ */
+class DynamicDates {
+  /**
+   * @param {Date} [now=new Date()] - A data de referência para os cálculos.
+   * @param {object} [options] - Sobrescreve CONFIG.DATES nesta instância (monthsPerSemester).
+   */
+  constructor(now = new Date(), options = {}) {
+    /** @type {Date} */
+    this.now = now;
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.DATES, options);
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Atualiza todos os elementos com datas dinâmicas da página.
+   */
+  init() {
+    this.update([document.body]);
+    this.isActive = true;
+  }
+  
+  /**
+   * Atualiza os elementos com datas dinâmicas dentro dos nós informados.
+   * @param {HTMLElement[]} nodes - Os nós raiz (seus descendentes também são verificados).
+   */
+  update(nodes) {
+    DOM.matchAll(nodes, SELECTORS.DYNAMIC_DATES).forEach(el => {
+      if ('currentYear' in el.dataset) {
+        el.textContent = String(this.now.getFullYear());
+      } else if (el.dataset.semesterStart) {
+        el.textContent = this.formatSemester(el.dataset.semesterStart, Number(el.dataset.semesterTotal));
+      } else {
+        el.textContent = this.formatPeriod(el.dataset.periodStart, el.dataset.periodEnd);
+      }
+    });
+  }
+  
+  /**
+   * @private
+   * Calcula o período (semestre) atual de um curso.
+   * @param {string} start - Início do curso ('AAAA-MM').
+   * @param {number} [total] - Número total de períodos (limite superior).
+   * @returns {string} Ex: "6° período".
+   */
+  formatSemester(start, total) {
+    const months = DateUtils.monthsBetween(DateUtils.parse(start), this.now);
+    const semester = Math.floor(months / this.options.monthsPerSemester) + 1;
+    return I18N.t('dates.semester', { count: total ? Math.min(semester, total) : semester });
+  }
+  
+  /**
+   * @private
+   * Formata um intervalo de datas com sua duração. Os meses de início e fim
+   * são contados de forma inclusiva (Abril - Junho = 3 meses).
+   * @param {string} start - Início ('AAAA-MM').
+   * @param {string} [end] - Fim ('AAAA-MM'); ausente significa "Presente".
+   * @returns {string}
+   */
+  formatPeriod(start, end) {
+    const startDate = DateUtils.parse(start);
+    const endDate = end ? DateUtils.parse(end) : this.now;
+    const months = DateUtils.monthsBetween(startDate, endDate) + 1;
+    const endLabel = end ? DateUtils.formatMonthYear(endDate) : I18N.t('dates.present');
+    
+    return `${DateUtils.formatMonthYear(startDate)} - ${endLabel} (${DateUtils.formatDuration(months)})`;
+  }
+  
+  /**
+   * Marca o módulo como inativo.
+   */
+  destroy() {
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: SELETOR DE IDIOMA
+// ============================================
+/**
+ * @class LanguageSwitcher
+ * Define o idioma ativo (escolha salva, idioma do navegador ou padrão), traduz os
+ * elementos marcados com data-i18n / data-i18n-attr e adiciona o botão de troca na navegação.
+ * - data-i18n="chave": substitui o textContent;
+ * - data-i18n-attr="atributo:chave,...": substitui atributos (ex: aria-label).
+ */
+class LanguageSwitcher {
+  constructor() {
+    /** @private @type {HTMLElement | null} */
+    this.toggle = null;
+    /** @private @type {Function[]} */
+    this.listeners = [];
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Detecta o idioma, traduz a página e cria o botão de troca.
+   */
+  init() {
+    this.createToggle();
+    this.apply(this.detectLocale());
+    this.isActive = true;
+  }
+  
+  /**
+   * @private
+   * Escolhe o idioma inicial: o salvo pelo usuário ou o primeiro idioma suportado do navegador.
+   * @returns {string}
+   */
+  detectLocale() {
+    const saved = LocalStore.get(CONFIG.I18N.STORAGE_KEY);
+    if (CONFIG.I18N.LOCALES.includes(saved)) return saved;
+    
+    const preferred = navigator.languages || [navigator.language];
+    for (const language of preferred.filter(Boolean)) {
+      const match = CONFIG.I18N.LOCALES.find(locale =>
+        locale.toLowerCase() === language.toLowerCase()
+        || locale.split('-')[0] === language.split('-')[0].toLowerCase());
+      if (match) return match;
+    }
+    
+    return CONFIG.I18N.LOCALES[0];
+  }
+  
+  /**
+   * @private
+   * Cria o botão que alterna para o próximo idioma.
+   */
+  createToggle() {
+    const nav = DOM.select(SELECTORS.NAV_ACTIONS);
+    if (!nav) return;
+    
+    this.toggle = DOM.create('button', {
+      type: 'button',
+      className: 'lang-toggle',
+      'data-i18n': 'language.short',
+      'data-i18n-attr': 'aria-label:language.switch,title:language.switch',
+      onClick: () => this.setLocale(this.getNextLocale())
+    });
+    nav.appendChild(this.toggle);
+  }
+  
+  /**
+   * @private
+   * @returns {string} O idioma seguinte ao ativo, na ordem de CONFIG.I18N.LOCALES.
+   */
+  getNextLocale() {
+    const index = CONFIG.I18N.LOCALES.indexOf(I18N.locale);
+    return CONFIG.I18N.LOCALES[(index + 1) % CONFIG.I18N.LOCALES.length];
+  }
+  
+  /**
+   * Muda o idioma, salva a escolha e notifica os interessados.
+   * @param {string} locale - Um dos idiomas de CONFIG.I18N.LOCALES.
+   */
+  setLocale(locale) {
+    if (!CONFIG.I18N.LOCALES.includes(locale) || locale === I18N.locale) return;
+    
+    this.apply(locale);
+    LocalStore.set(CONFIG.I18N.STORAGE_KEY, locale);
+    this.listeners.forEach(listener => listener(locale));
+  }
+  
+  /**
+   * Registra uma função chamada a cada troca de idioma.
+   * @param {function(string): void} listener - Recebe o novo idioma.
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+  
+  /**
+   * @private
+   * Ativa o idioma e traduz o documento (lang, título, meta description e elementos marcados).
+   * @param {string} locale - O idioma.
+   */
+  apply(locale) {
+    I18N.locale = locale;
+    document.documentElement.lang = locale;
+    document.title = I18N.t('meta.title');
+    
+    const description = DOM.select('meta[name="description"]');
+    if (description) description.content = I18N.t('meta.description');
+    
+    this.translate([document.documentElement]);
+  }
+  
+  /**
+   * Traduz os elementos marcados dentro dos nós informados.
+   * @param {HTMLElement[]} nodes - Os nós raiz (seus descendentes também são verificados).
+   */
+  translate(nodes) {
+    DOM.matchAll(nodes, SELECTORS.I18N_TEXT).forEach(el => {
+      el.textContent = I18N.t(el.dataset.i18n);
+    });
+    
+    DOM.matchAll(nodes, SELECTORS.I18N_ATTR).forEach(el => {
+      el.dataset.i18nAttr.split(',').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        el.setAttribute(attribute, I18N.t(key));
+      });
+    });
+  }
+  
+  /**
+   * Remove o botão de troca de idioma.
+   */
+  destroy() {
+    if (this.toggle) this.toggle.remove();
+    this.listeners = [];
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: GERENCIADOR DE TEMAS
+// ============================================
+/**
+ * @class ThemeManager
+ * Alterna os conjuntos de variáveis CSS (data-theme no <html>) entre escuro, claro
+ * e alto contraste. No modo automático, segue prefers-color-scheme e prefers-contrast
+ * do sistema; a escolha explícita do usuário é salva no localStorage.
+ */
+class ThemeManager {
+  constructor() {
+    /** @private @type {HTMLElement | null} */
+    this.toggle = null;
+    /** @type {string} A escolha do usuário: 'auto' ou um de CONFIG.THEME.THEMES. */
+    this.choice = 'auto';
+    /** @type {string} O tema efetivamente aplicado. */
+    this.theme = CONFIG.THEME.THEMES[0];
+    /** @private @type {MediaQueryList[]} */
+    this.mediaQueries = [];
+    /** @private @type {Function | null} */
+    this.mediaHandler = null;
+    /** @private @type {Function[]} */
+    this.listeners = [];
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Aplica o tema salvo (ou o do sistema) e cria o botão de troca.
+   */
+  init() {
+    const saved = LocalStore.get(CONFIG.THEME.STORAGE_KEY);
+    this.choice = CONFIG.THEME.THEMES.includes(saved) ? saved : 'auto';
+    
+    this.mediaQueries = [
+      window.matchMedia('(prefers-contrast: more)'),
+      window.matchMedia('(prefers-color-scheme: light)')
+    ];
+    this.mediaHandler = () => {
+      if (this.choice === 'auto') this.apply();
+    };
+    this.mediaQueries.forEach(query => query.addEventListener('change', this.mediaHandler));
+    
+    this.createToggle();
+    this.apply();
+    this.isActive = true;
+  }
+  
+  /**
+   * @private
+   * @returns {string} O tema preferido pelo sistema operacional.
+   */
+  getSystemTheme() {
+    const [contrast, light] = this.mediaQueries;
+    if (contrast.matches) return 'high-contrast';
+    return light.matches ? 'light' : 'dark';
+  }
+  
+  /**
+   * @private
+   * Cria o botão que percorre automático → escuro → claro → alto contraste.
+   */
+  createToggle() {
+    const nav = DOM.select(SELECTORS.NAV_ACTIONS);
+    if (!nav) return;
+    
+    this.toggle = DOM.create('button', {
+      type: 'button',
+      className: 'theme-toggle',
+      onClick: () => {
+        const options = ['auto', ...CONFIG.THEME.THEMES];
+        this.setTheme(options[(options.indexOf(this.choice) + 1) % options.length]);
+      }
+    });
+    nav.appendChild(this.toggle);
+  }
+  
+  /**
+   * Define o tema escolhido pelo usuário ('auto' volta a seguir o sistema).
+   * @param {string} choice - 'auto' ou um de CONFIG.THEME.THEMES.
+   */
+  setTheme(choice) {
+    if (choice !== 'auto' && !CONFIG.THEME.THEMES.includes(choice)) return;
+    
+    this.choice = choice;
+    if (choice === 'auto') {
+      LocalStore.remove(CONFIG.THEME.STORAGE_KEY);
+    } else {
+      LocalStore.set(CONFIG.THEME.STORAGE_KEY, choice);
+    }
+    this.apply();
+  }
+  
+  /**
+   * Registra uma função chamada a cada troca do tema aplicado.
+   * @param {function(string): void} listener - Recebe o novo tema.
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+  
+  /**
+   * @private
+   * Aplica o tema e notifica os interessados se ele mudou.
+   */
+  apply() {
+    const theme = this.choice === 'auto' ? this.getSystemTheme() : this.choice;
+    const changed = theme !== this.theme;
+    
+    this.theme = theme;
+    document.documentElement.dataset.theme = theme;
+    this.updateToggle();
+    
+    if (changed) this.listeners.forEach(listener => listener(theme));
+  }
+  
+  /**
+   * Atualiza ícone e rótulo do botão (ex: após trocar o idioma).
+   */
+  updateToggle() {
+    if (!this.toggle) return;
+    
+    const icons = {
+      auto: 'fa-solid fa-circle-half-stroke',
+      dark: 'fa-solid fa-moon',
+      light: 'fa-solid fa-sun',
+      'high-contrast': 'fa-solid fa-eye'
+    };
+    const label = I18N.t('theme.label', { theme: I18N.t(`theme.${this.choice}`) });
+    
+    this.toggle.replaceChildren(DOM.create('i', { className: icons[this.choice], 'aria-hidden': 'true' }));
+    this.toggle.setAttribute('aria-label', label);
+    this.toggle.title = label;
+  }
+  
+  /**
+   * Para de seguir o sistema e remove o botão (o tema aplicado é mantido).
+   */
+  destroy() {
+    this.mediaQueries.forEach(query => query.removeEventListener('change', this.mediaHandler));
+    if (this.toggle) this.toggle.remove();
+    this.listeners = [];
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: RENDERIZADOR DE CONTEÚDO
+// ============================================
+/**
+ * @class ContentRenderer
+ * Monta as seções de habilidades, projetos, experiência, formação e certificações
+ * a partir de um modelo de dados JSON. Qualquer texto pode ser localizado no formato
+ * { "pt-BR": ..., "en": ... }. Se os dados não puderem ser carregados,
+ * o HTML estático da página (em pt-BR) é mantido como fallback.
+ */
+class ContentRenderer {
+  /**
+   * @param {string} [source=CONFIG.CONTENT.SOURCE] - URL do arquivo JSON com os dados.
+   */
+  constructor(source = CONFIG.CONTENT.SOURCE) {
+    /** @type {string} */
+    this.source = source;
+    /** @type {object | null} */
+    this.data = null;
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Carrega os dados e renderiza as seções.
+   * @returns {Promise<HTMLElement[]>} Os nós criados (vazio se o HTML estático foi mantido).
+   */
+  async init() {
+    try {
+      const data = await this.loadData();
+      const nodes = this.render(data);
+      this.data = data;
+      this.isActive = true;
+      return nodes;
+    } catch (error) {
+      console.warn('Dados do portfólio indisponíveis, mantendo HTML estático:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Renderiza novamente as seções com os dados já carregados (ex: ao mudar de idioma).
+   * Se a renderização falhar, o conteúdo atual é mantido.
+   * @returns {HTMLElement[]} Os nós criados (vazio se os dados não foram carregados ou se falhou).
+   */
+  rerender() {
+    if (!this.data) return [];
+    
+    try {
+      return this.render(this.data);
+    } catch (error) {
+      console.warn('Erro ao renderizar novamente o conteúdo, mantendo o atual:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * @private
+   * Lê os dados de um <script type="application/json"> inline ou, na falta dele, do arquivo JSON.
+   * @returns {Promise<object>}
+   */
+  async loadData() {
+    const inline = DOM.select(SELECTORS.CONTENT_INLINE);
+    if (inline) {
+      return JSON.parse(inline.textContent);
+    }
+    
+    const response = await fetch(this.source);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ao carregar ${this.source}`);
+    }
+    return response.json();
+  }
+  
+  /**
+   * @private
+   * Renderiza todas as seções presentes nos dados. Todos os nós são criados antes de
+   * qualquer troca: se um item falhar, nenhuma seção é alterada.
+   * @param {object} data - O modelo de dados do portfólio.
+   * @returns {HTMLElement[]} Os nós criados.
+   */
+  render(data) {
+    const sections = [
+      this.buildList(SELECTORS.SKILLS_GRID, data.skills, item => this.createSkillCard(item)),
+      this.buildList(SELECTORS.TIMELINE, this.getTimelineEntries(data), item => this.createTimelineItem(item)),
+      this.buildList(SELECTORS.EDUCATION_GRID, data.education, item => this.createEducationCard(item)),
+      this.buildList(SELECTORS.CERT_GRID, data.certifications, item => this.createCertBadge(item)),
+      this.buildList(SELECTORS.PROJECT_GRID, data.projects, item => this.createProjectCard(item))
+    ].filter(Boolean);
+    
+    sections.forEach(({ container, nodes }) => container.replaceChildren(...nodes));
+    return sections.flatMap(({ nodes }) => nodes);
+  }
+  
+  /**
+   * @private
+   * Cria os nós de uma seção a partir de uma lista, sem alterar a página.
+   * Seções sem dados (ou sem container) mantêm o HTML estático.
+   * @param {string} selector - O seletor do container.
+   * @param {object[] | undefined} items - Os itens da seção.
+   * @param {function(object): HTMLElement} factory - Cria o nó de um item.
+   * @returns {{container: HTMLElement, nodes: HTMLElement[]} | null}
+   */
+  buildList(selector, items, factory) {
+    const container = DOM.select(selector);
+    if (!container || !Array.isArray(items)) return null;
+    
+    return { container, nodes: I18N.resolve(items).map(factory) };
+  }
+  
+  /**
+   * @private
+   * Cria um ícone Font Awesome.
+   * @param {string} className - As classes do ícone (ex: 'fa-solid fa-database').
+   * @returns {HTMLElement}
+   */
+  createIcon(className) {
+    return DOM.create('i', { className, 'aria-hidden': 'true' });
+  }
+  
+  /**
+   * @private
+   * @param {{icon: string, title: string, description: string, since?: string, years?: number}} skill
+   * @returns {HTMLElement} O elemento .skill-card.
+   */
+  createSkillCard(skill) {
+    const card = DOM.create('div', { className: 'skill-card reveal' });
+    const icon = DOM.create('div', { className: 'skill-icon' });
+    
+    if (skill.since) card.dataset.since = skill.since;
+    else if (skill.years) card.dataset.years = skill.years;
+    
+    icon.appendChild(this.createIcon(skill.icon));
+    card.append(
+      icon,
+      DOM.create('h3', { textContent: skill.title }),
+      DOM.create('p', { textContent: skill.description })
+    );
+    return card;
+  }
+  
+  /**
+   * @private
+   * Adiciona os trechos informados separados por " • ", omitindo os vazios.
+   * @param {HTMLElement} element - O elemento que recebe os trechos.
+   * @param {(string|Node)[]} parts - Os trechos (texto ou nós).
+   * @returns {HTMLElement} O próprio elemento.
+   */
+  appendJoined(element, parts) {
+    parts.filter(Boolean).forEach((part, index) => {
+      if (index) element.append(' • ');
+      element.append(part);
+    });
+    return element;
+  }
+  
+  /**
+   * @private
+   * Junta a experiência e a formação com datas de início (type: 'education') em uma
+   * única lista para a linha do tempo.
+   * @param {object} data - O modelo de dados do portfólio.
+   * @returns {object[] | undefined} As entradas (undefined se não houver experiência).
+   */
+  getTimelineEntries(data) {
+    if (!Array.isArray(data.experience)) return undefined;
+    
+    const education = (data.education || [])
+      .filter(course => course.start)
+      .map(course => ({
+        role: course.title,
+        organization: course.institution,
+        start: course.start,
+        end: course.end,
+        highlights: course.highlights,
+        type: 'education'
+      }));
+    
+    return [...data.experience, ...education];
+  }
+  
+  /**
+   * @private
+   * As entradas de formação começam ocultas (o CareerTimeline as exibe ao mesclar).
+   * @param {{role: string, organization: string, start: string, end?: string, location?: string, highlights?: string[], type?: string}} job
+   * @returns {HTMLElement} O elemento .timeline-item.
+   */
+  createTimelineItem(job) {
+    const item = DOM.create('div', { className: 'timeline-item reveal', 'data-type': job.type || 'work' });
+    const list = DOM.create('ul');
+    const period = DOM.create('span', { 'data-period-start': job.start });
+    
+    if (job.end) period.dataset.periodEnd = job.end;
+    if (job.type === 'education') item.hidden = true;
+    
+    (job.highlights || []).forEach(text => list.appendChild(DOM.create('li', { textContent: text })));
+    item.append(
+      DOM.create('div', { className: 'timeline-dot' }),
+      DOM.create('h3', { textContent: job.role }),
+      this.appendJoined(DOM.create('p', { className: 'timeline-date' }), [job.organization, period, job.location]),
+      list
+    );
+    return item;
+  }
+  
+  /**
+   * @private
+   * @param {{icon: string, title: string, institution: string, period: string, note?: string, semesterStart?: string, semesters?: number}} course
+   * @returns {HTMLElement} O elemento .education-card.
+   */
+  createEducationCard(course) {
+    const card = DOM.create('div', { className: 'education-card reveal' });
+    const title = DOM.create('h3');
+    const institution = this.appendJoined(DOM.create('p', { className: 'institution' }), [course.institution, course.period]);
+    
+    if (course.semesterStart) {
+      const semester = DOM.create('span', { 'data-semester-start': course.semesterStart });
+      if (course.semesters) semester.dataset.semesterTotal = course.semesters;
+      institution.append(' (', semester, ')');
+    } else if (course.note) {
+      institution.append(` (${course.note})`);
+    }
+    
+    title.append(this.createIcon(course.icon), course.title);
+    card.append(title, institution);
+    return card;
+  }
+  
+  /**
+   * @private
+   * @param {{icon: string, title: string, year: (string|number)}} cert
+   * @returns {HTMLElement} O elemento .cert-badge.
+   */
+  createCertBadge(cert) {
+    const badge = DOM.create('div', { className: 'cert-badge reveal', 'data-reveal': 'zoom' });
+    const icon = DOM.create('div', { className: 'cert-icon' });
+    const info = DOM.create('div', { className: 'cert-info' });
+    
+    icon.appendChild(this.createIcon(cert.icon));
+    info.append(
+      DOM.create('h4', { textContent: cert.title }),
+      DOM.create('span', { textContent: `(${cert.year})` })
+    );
+    badge.append(icon, info);
+    return badge;
+  }
+  
+  /**
+   * @private
+   * @param {{title: string, description: string, tags: string[], images: {src: string, alt: string}[], repo?: string, demo?: string}} project
+   * @returns {HTMLElement} O elemento .project-card.
+   */
+  createProjectCard(project) {
+    const images = project.images || [];
+    const card = DOM.create('article', {
+      className: 'project-card reveal',
+      'data-tags': (project.tags || []).join(','),
+      'data-images': JSON.stringify(images)
+    });
+    const body = DOM.create('div', { className: 'project-body' });
+    const tags = DOM.create('ul', {
+      className: 'project-tags',
+      'aria-label': I18N.t('projects.technologies'),
+      'data-i18n-attr': 'aria-label:projects.technologies'
+    });
+    const links = DOM.create('div', { className: 'project-links' });
+    
+    (project.tags || []).forEach(tag => tags.appendChild(DOM.create('li', { textContent: tag })));
+    
+    if (project.repo) links.appendChild(this.createProjectLink(project.repo, 'fa-brands fa-github', 'projects.code'));
+    if (project.demo) links.appendChild(this.createProjectLink(project.demo, 'fa-solid fa-arrow-up-right-from-square', 'projects.demo'));
+    links.appendChild(DOM.create('button', {
+      type: 'button',
+      className: 'project-details',
+      'data-i18n': 'projects.details',
+      textContent: I18N.t('projects.details')
+    }));
+    
+    body.append(
+      DOM.create('h3', { textContent: project.title }),
+      DOM.create('p', { textContent: project.description }),
+      tags,
+      links
+    );
+    
+    if (images.length) {
+      card.appendChild(DOM.create('img', {
+        className: 'project-image',
+        src: images[0].src,
+        alt: images[0].alt || '',
+        loading: 'lazy'
+      }));
+    }
+    card.appendChild(body);
+    return card;
+  }
+  
+  /**
+   * @private
+   * Cria um link externo de projeto (repositório ou demo).
+   * @param {string} href - A URL.
+   * @param {string} icon - As classes do ícone.
+   * @param {string} labelKey - A chave de tradução do texto do link.
+   * @returns {HTMLElement}
+   */
+  createProjectLink(href, icon, labelKey) {
+    const link = DOM.create('a', {
+      href,
+      className: 'project-link',
+      target: '_blank',
+      rel: 'noopener noreferrer'
+    });
+    link.append(
+      this.createIcon(icon),
+      DOM.create('span', { 'data-i18n': labelKey, textContent: I18N.t(labelKey) })
+    );
+    return link;
+  }
+  
+  /**
+   * Marca o módulo como inativo (os nós renderizados permanecem na página).
+   */
+  destroy() {
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: GALERIA DE PROJETOS
+// ============================================
+/**
+ * @class ProjectGallery
+ * Adiciona à seção de projetos uma barra de filtro por tecnologia e um modal
+ * de detalhes com carrossel de imagens. Trabalha sobre os .project-card
+ * presentes no DOM (estáticos ou gerados pelo ContentRenderer).
+ */
+class ProjectGallery {
+  constructor() {
+    /** @private @type {HTMLElement | null} */
+    this.section = null;
+    /** @private @type {HTMLElement | null} */
+    this.filterBar = null;
+    /** @private @type {HTMLElement | null} */
+    this.status = null;
+    /** @private @type {HTMLElement | null} */
+    this.modal = null;
+    /** @private @type {HTMLElement[]} */
+    this.cards = [];
+    /** @private @type {string | null} */
+    this.activeTag = null;
+    /** @private @type {{src: string, alt: string}[]} */
+    this.images = [];
+    /** @private @type {number} */
+    this.imageIndex = 0;
+    /** @private @type {HTMLElement | null} */
+    this.opener = null;
+    /** @private @type {Function | null} */
+    this.keyHandler = null;
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Cria a barra de filtros e o modal, e lê os cards existentes.
+   */
+  init() {
+    this.section = DOM.select(SELECTORS.PROJECTS_SECTION);
+    if (!this.section) return;
+    
+    this.createFilterBar();
+    this.createModal();
+    this.attachListeners();
+    this.refresh();
+    this.isActive = true;
+  }
+  
+  /**
+   * Relê os cards da seção (ex: após renderização dinâmica) e reconstrói os filtros.
+   * @returns {HTMLElement[]} Os botões de filtro criados.
+   */
+  refresh() {
+    if (!this.section) return [];
+    
+    this.cards = DOM.selectAll(SELECTORS.PROJECT_CARD, this.section);
+    const tags = Array.from(new Set(this.cards.flatMap(card => this.getTags(card))))
+      .sort((a, b) => a.localeCompare(b));
+    
+    if (this.activeTag && !tags.includes(this.activeTag)) {
+      this.activeTag = null;
+    }
+    
+    const buttons = [null, ...tags].map(tag => DOM.create('button', {
+      type: 'button',
+      className: 'project-filter',
+      'data-tag': tag || '',
+      'aria-pressed': String(tag === this.activeTag),
+      ...(tag ? {} : { 'data-i18n': 'projects.all' }),
+      textContent: tag || I18N.t('projects.all')
+    }));
+    
+    this.filterBar.replaceChildren(...buttons);
+    this.applyFilter();
+    return buttons;
+  }
+  
+  /**
+   * @private
+   * Cria a barra de filtros por tecnologia e a região de status (leitores de tela).
+   */
+  createFilterBar() {
+    this.filterBar = DOM.create('div', {
+      className: 'project-filters',
+      role: 'group',
+      'aria-label': I18N.t('projects.filter'),
+      'data-i18n-attr': 'aria-label:projects.filter'
+    });
+    this.status = DOM.create('p', {
+      className: 'sr-only',
+      role: 'status',
+      'aria-live': 'polite'
+    });
+    
+    const grid = DOM.select(SELECTORS.PROJECT_GRID);
+    this.section.insertBefore(this.filterBar, grid);
+    this.section.insertBefore(this.status, grid);
+  }
+  
+  /**
+   * @private
+   * Cria o modal de detalhes (inicialmente oculto).
+   */
+  createModal() {
+    this.modal = DOM.create('div', {
+      className: 'project-modal',
+      role: 'dialog',
+      'aria-modal': 'true',
+      'aria-labelledby': 'project-modal-title',
+      hidden: ''
+    });
+    this.modal.innerHTML = `
+      <div class="project-modal-backdrop" data-close></div>
+      <div class="project-modal-content">
+        <button type="button" class="project-modal-close" data-close
+          aria-label="${I18N.t('projects.close')}" data-i18n-attr="aria-label:projects.close">
+          <i class="fa-solid fa-xmark" aria-hidden="true"></i>
+        </button>
+        <div class="carousel" role="group"
+          aria-roledescription="${I18N.t('projects.carouselRole')}" aria-label="${I18N.t('projects.carousel')}"
+          data-i18n-attr="aria-roledescription:projects.carouselRole,aria-label:projects.carousel">
+          <img class="carousel-image" alt="">
+          <button type="button" class="carousel-prev"
+            aria-label="${I18N.t('projects.previous')}" data-i18n-attr="aria-label:projects.previous">
+            <i class="fa-solid fa-chevron-left" aria-hidden="true"></i>
+          </button>
+          <button type="button" class="carousel-next"
+            aria-label="${I18N.t('projects.next')}" data-i18n-attr="aria-label:projects.next">
+            <i class="fa-solid fa-chevron-right" aria-hidden="true"></i>
+          </button>
+          <p class="carousel-status" aria-live="polite"></p>
+        </div>
+        <h3 id="project-modal-title"></h3>
+        <p class="project-modal-description"></p>
+        <ul class="project-tags"></ul>
+        <div class="project-links"></div>
+      </div>
+    `;
+    document.body.appendChild(this.modal);
+  }
+  
+  /**
+   * @private
+   * Adiciona os listeners (delegados) de filtro, abertura e controle do modal.
+   */
+  attachListeners() {
+    this.filterBar.addEventListener('click', (e) => {
+      const button = e.target.closest('.project-filter');
+      if (!button) return;
+      
+      this.activeTag = button.dataset.tag || null;
+      DOM.selectAll('.project-filter', this.filterBar).forEach(btn => {
+        btn.setAttribute('aria-pressed', String(btn === button));
+      });
+      this.applyFilter();
+    });
+    
+    this.section.addEventListener('click', (e) => {
+      const trigger = e.target.closest(`.project-details, ${SELECTORS.PROJECT_IMAGE}`);
+      const card = trigger && trigger.closest(SELECTORS.PROJECT_CARD);
+      if (card) this.open(card, trigger);
+    });
+    
+    this.modal.addEventListener('click', (e) => {
+      if (e.target.closest('[data-close]')) this.close();
+      else if (e.target.closest('.carousel-prev')) this.showImage(this.imageIndex - 1);
+      else if (e.target.closest('.carousel-next')) this.showImage(this.imageIndex + 1);
+    });
+    
+    this.keyHandler = (e) => this.handleKeydown(e);
+  }
+  
+  /**
+   * @private
+   * @param {HTMLElement} card - O elemento .project-card.
+   * @returns {string[]} As tecnologias do projeto.
+   */
+  getTags(card) {
+    return (card.dataset.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  }
+  
+  /**
+   * @private
+   * Mostra apenas os cards com a tecnologia selecionada e anuncia o resultado.
+   */
+  applyFilter() {
+    let visible = 0;
+    
+    this.cards.forEach(card => {
+      const matches = !this.activeTag || this.getTags(card).includes(this.activeTag);
+      card.hidden = !matches;
+      if (matches) visible++;
+    });
+    
+    this.status.textContent = I18N.t('projects.shown', { count: visible });
+  }
+  
+  /**
+   * Abre o modal de detalhes de um projeto.
+   * @param {HTMLElement} card - O elemento .project-card.
+   * @param {HTMLElement} [opener] - O elemento que recebe o foco ao fechar.
+   */
+  open(card, opener = null) {
+    const image = DOM.select(SELECTORS.PROJECT_IMAGE, card);
+    const content = DOM.select('.project-modal-content', this.modal);
+    
+    this.images = JSON.parse(card.dataset.images || '[]');
+    if (!this.images.length && image) {
+      this.images = [{ src: image.getAttribute('src'), alt: image.alt }];
+    }
+    
+    DOM.select('#project-modal-title', this.modal).textContent = DOM.select('h3', card).textContent;
+    DOM.select('.project-modal-description', this.modal).textContent = DOM.select('.project-body p', card).textContent;
+    DOM.select('.project-tags', content).replaceChildren(
+      ...DOM.selectAll('.project-tags li', card).map(li => li.cloneNode(true))
+    );
+    DOM.select('.project-links', content).replaceChildren(
+      ...DOM.selectAll('.project-links a', card).map(link => link.cloneNode(true))
+    );
+    
+    DOM.select('.carousel', this.modal).hidden = !this.images.length;
+    DOM.selectAll('.carousel-prev, .carousel-next', this.modal).forEach(btn => {
+      btn.hidden = this.images.length < 2;
+    });
+    this.showImage(0);
+    
+    this.opener = opener;
+    this.modal.hidden = false;
+    document.body.classList.add('modal-open');
+    document.addEventListener('keydown', this.keyHandler);
+    DOM.select('.project-modal-close', this.modal).focus();
+  }
+  
+  /**
+   * Fecha o modal e devolve o foco ao elemento que o abriu.
+   */
+  close() {
+    if (!this.modal || this.modal.hidden) return;
+    
+    this.modal.hidden = true;
+    document.body.classList.remove('modal-open');
+    document.removeEventListener('keydown', this.keyHandler);
+    
+    if (this.opener) {
+      this.opener.focus();
+      this.opener = null;
+    }
+  }
+  
+  /**
+   * @private
+   * Exibe uma imagem do carrossel (com navegação circular).
+   * @param {number} index - O índice da imagem.
+   */
+  showImage(index) {
+    if (!this.images.length) return;
+    
+    this.imageIndex = (index + this.images.length) % this.images.length;
+    const { src, alt } = this.images[this.imageIndex];
+    const img = DOM.select('.carousel-image', this.modal);
+    
+    img.src = src;
+    img.alt = alt || '';
+    DOM.select('.carousel-status', this.modal).textContent =
+      I18N.t('projects.imageStatus', { index: this.imageIndex + 1, total: this.images.length });
+  }
+  
+  /**
+   * @private
+   * Teclado no modal: Esc fecha, setas navegam no carrossel e Tab fica preso ao modal.
+   * @param {KeyboardEvent} e
+   */
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      this.close();
+    } else if (e.key === 'ArrowLeft' && this.images.length > 1) {
+      this.showImage(this.imageIndex - 1);
+    } else if (e.key === 'ArrowRight' && this.images.length > 1) {
+      this.showImage(this.imageIndex + 1);
+    } else if (e.key === 'Tab') {
+      this.trapFocus(e);
+    }
+  }
+  
+  /**
+   * @private
+   * Mantém o foco do Tab dentro do modal.
+   * @param {KeyboardEvent} e
+   */
+  trapFocus(e) {
+    const focusable = DOM.selectAll('button, a[href]', this.modal).filter(el => !el.closest('[hidden]'));
+    if (!focusable.length) return;
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+  
+  /**
+   * Fecha o modal e remove os elementos criados pela galeria.
+   */
+  destroy() {
+    this.close();
+    if (this.filterBar) this.filterBar.remove();
+    if (this.status) this.status.remove();
+    if (this.modal) this.modal.remove();
+    this.cards.forEach(card => card.hidden = false);
+    this.isActive = false;
+  }
+}
+// ============================================
+// CLASSE: LINHA DO TEMPO DA CARREIRA
+// ============================================
+/**
+ * Tipos de entrada da linha do tempo, na ordem dos filtros.
+ * @const {string[]}
+ */
+const TIMELINE_TYPES = ['work', 'teaching', 'support', 'education'];
+
+/**
+ * @class CareerTimeline
+ * Torna interativa a linha do tempo de #experience: ordena as entradas por data (as
+ * atuais primeiro), filtra por tipo (data-type), recolhe listas longas de atividades
+ * e, opcionalmente, mescla a formação (entradas data-type="education", geradas ocultas
+ * pelo ContentRenderer) em uma única visão cronológica. Trabalha sobre os .timeline-item
+ * presentes no DOM; os períodos e durações vêm dos spans data-period-start (DynamicDates).
+ */
+class CareerTimeline {
+  /**
+   * @param {object} [options] - Sobrescreve CONFIG.TIMELINE nesta instância (visibleHighlights, mergeEducation).
+   */
+  constructor(options = {}) {
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.TIMELINE, options);
+    /** @private @type {HTMLElement | null} */
+    this.timeline = null;
+    /** @private @type {HTMLElement | null} */
+    this.controls = null;
+    /** @private @type {HTMLElement | null} */
+    this.status = null;
+    /** @private @type {HTMLElement[]} */
+    this.items = [];
+    /** @private @type {string | null} */
+    this.activeType = null;
+    /** @type {boolean} */
+    this.mergeEducation = this.options.mergeEducation;
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Cria os controles e organiza as entradas existentes.
+   */
+  init() {
+    this.timeline = DOM.select(SELECTORS.TIMELINE);
+    if (!this.timeline) return;
+    
+    this.createControls();
+    this.refresh();
+    this.isActive = true;
+  }
+  
+  /**
+   * Relê as entradas (ex: após renderização dinâmica ou troca de idioma), reordena,
+   * reconstrói os filtros e os botões de expandir.
+   * @returns {HTMLElement[]} Os botões criados.
+   */
+  refresh() {
+    if (!this.timeline) return [];
+    
+    this.items = DOM.selectAll(SELECTORS.TIMELINE_ITEM, this.timeline);
+    this.items.sort((a, b) => this.compareItems(a, b));
+    this.timeline.append(...this.items);
+    
+    const buttons = [...this.renderFilters(), ...this.items.map((item, index) => this.setupToggle(item, index)).filter(Boolean)];
+    this.applyFilter();
+    return buttons;
+  }
+  
+  /**
+   * @private
+   * @param {HTMLElement} item - O elemento .timeline-item.
+   * @returns {string} O tipo da entrada (padrão: 'work').
+   */
+  getType(item) {
+    return item.dataset.type || 'work';
+  }
+  
+  /**
+   * @private
+   * @param {HTMLElement} item - O elemento .timeline-item.
+   * @returns {{start: number, end: number}} Início e fim em ms (fim infinito se atual).
+   */
+  getPeriod(item) {
+    const period = DOM.select('[data-period-start]', item);
+    if (!period) return { start: -Infinity, end: -Infinity };
+    
+    return {
+      start: DateUtils.parse(period.dataset.periodStart).getTime(),
+      end: period.dataset.periodEnd ? DateUtils.parse(period.dataset.periodEnd).getTime() : Infinity
+    };
+  }
+  
+  /**
+   * @private
+   * Ordem cronológica inversa: pelo fim (atuais primeiro) e, no empate, pelo início.
+   * @param {HTMLElement} a
+   * @param {HTMLElement} b
+   * @returns {number}
+   */
+  compareItems(a, b) {
+    const periodA = this.getPeriod(a);
+    const periodB = this.getPeriod(b);
+    
+    if (periodA.end !== periodB.end) return periodA.end < periodB.end ? 1 : -1;
+    if (periodA.start !== periodB.start) return periodA.start < periodB.start ? 1 : -1;
+    return 0;
+  }
+  
+  /**
+   * @private
+   * Cria a barra de filtros e a região de status (leitores de tela).
+   */
+  createControls() {
+    this.controls = DOM.create('div', {
+      className: 'project-filters timeline-filters',
+      role: 'group',
+      'aria-label': I18N.t('timeline.filter'),
+      'data-i18n-attr': 'aria-label:timeline.filter'
+    });
+    this.status = DOM.create('p', {
+      className: 'sr-only',
+      role: 'status',
+      'aria-live': 'polite'
+    });
+    
+    this.controls.addEventListener('click', (e) => {
+      const button = e.target.closest('button');
+      if (!button) return;
+      
+      if ('merge' in button.dataset) {
+        this.setMergeEducation(!this.mergeEducation);
+      } else {
+        this.setFilter(button.dataset.type || null);
+      }
+    });
+    
+    this.timeline.before(this.controls, this.status);
+  }
+  
+  /**
+   * @private
+   * Recria os botões de filtro com os tipos presentes (a formação vira um botão de mesclar).
+   * @returns {HTMLElement[]}
+   */
+  renderFilters() {
+    const types = TIMELINE_TYPES.filter(type => (
+      type !== 'education' && this.items.some(item => this.getType(item) === type)
+    ));
+    const hasEducation = this.items.some(item => this.getType(item) === 'education');
+    
+    if (this.activeType && !types.includes(this.activeType) && this.activeType !== 'education') {
+      this.activeType = null;
+    }
+    
+    const buttons = [null, ...types].map(type => DOM.create('button', {
+      type: 'button',
+      className: 'project-filter',
+      'data-type': type || '',
+      'aria-pressed': String(type === this.activeType),
+      textContent: I18N.t(type ? `timeline.types.${type}` : 'timeline.all')
+    }));
+    
+    if (hasEducation) {
+      buttons.push(DOM.create('button', {
+        type: 'button',
+        className: 'project-filter',
+        'data-merge': '',
+        'aria-pressed': String(this.mergeEducation),
+        textContent: I18N.t('timeline.mergeEducation')
+      }));
+    }
+    
+    this.controls.replaceChildren(...buttons);
+    this.controls.hidden = buttons.length < 3;
+    return buttons;
+  }
+  
+  /**
+   * Filtra a linha do tempo por tipo.
+   * @param {string | null} type - O tipo (ex: 'teaching'), ou null para todos.
+   */
+  setFilter(type) {
+    this.activeType = type;
+    DOM.selectAll('[data-type]', this.controls).forEach(button => {
+      button.setAttribute('aria-pressed', String((button.dataset.type || null) === type));
+    });
+    this.applyFilter();
+  }
+  
+  /**
+   * Mescla (ou separa) as entradas de formação na linha do tempo.
+   * @param {boolean} merge - Se a formação deve aparecer.
+   */
+  setMergeEducation(merge) {
+    this.mergeEducation = merge;
+    const button = DOM.select('[data-merge]', this.controls);
+    if (button) button.setAttribute('aria-pressed', String(merge));
+    this.applyFilter();
+  }
+  
+  /**
+   * @private
+   * Mostra apenas as entradas do tipo selecionado e anuncia o resultado.
+   */
+  applyFilter() {
+    let visible = 0;
+    
+    this.items.forEach(item => {
+      const type = this.getType(item);
+      const matches = type === 'education'
+        ? this.mergeEducation
+        : !this.activeType || type === this.activeType;
+      
+      item.hidden = !matches;
+      if (matches) visible++;
+    });
+    
+    this.status.textContent = I18N.t('timeline.shown', { count: visible });
+  }
+  
+  /**
+   * @private
+   * Recolhe as atividades além de options.visibleHighlights atrás de um botão
+   * "Ver mais". Reaproveita o botão se a entrada já tiver um.
+   * @param {HTMLElement} item - O elemento .timeline-item.
+   * @param {number} index - A posição da entrada (para o id da lista).
+   * @returns {HTMLElement | null} O botão, se a lista for longa.
+   */
+  setupToggle(item, index) {
+    const list = DOM.select('ul', item);
+    const extra = list ? Array.from(list.children).slice(this.options.visibleHighlights) : [];
+    let toggle = DOM.select('.timeline-toggle', item);
+    
+    if (!extra.length) {
+      if (toggle) toggle.remove();
+      return null;
+    }
+    
+    if (!toggle) {
+      if (!list.id) list.id = `timeline-highlights-${index}`;
+      toggle = DOM.create('button', {
+        type: 'button',
+        className: 'timeline-toggle',
+        'aria-controls': list.id,
+        'aria-expanded': 'false',
+        onClick: () => this.setExpanded(item, toggle.getAttribute('aria-expanded') !== 'true')
+      });
+      list.after(toggle);
+    }
+    
+    this.setExpanded(item, toggle.getAttribute('aria-expanded') === 'true');
+    return toggle;
+  }
+  
+  /**
+   * Expande ou recolhe a lista de atividades de uma entrada.
+   * @param {HTMLElement} item - O elemento .timeline-item.
+   * @param {boolean} expanded - Se a lista completa deve aparecer.
+   */
+  setExpanded(item, expanded) {
+    const toggle = DOM.select('.timeline-toggle', item);
+    const extra = Array.from(DOM.select('ul', item).children).slice(this.options.visibleHighlights);
+    if (!toggle) return;
+    
+    extra.forEach(li => { li.hidden = !expanded; });
+    toggle.setAttribute('aria-expanded', String(expanded));
+    toggle.textContent = expanded
+      ? I18N.t('timeline.less')
+      : I18N.t('timeline.more', { count: extra.length });
+  }
+  
+  /**
+   * Remove os controles e mostra todas as entradas completas.
+   */
+  destroy() {
+    this.items.forEach(item => {
+      if (DOM.select('.timeline-toggle', item)) this.setExpanded(item, true);
+      DOM.selectAll('.timeline-toggle', item).forEach(toggle => toggle.remove());
+      item.hidden = this.getType(item) === 'education';
+    });
+    
+    if (this.controls) this.controls.remove();
+    if (this.status) this.status.remove();
+    this.items = [];
+    this.isActive = false;
+  }
+}
+
+
+// ============================================
+// CLASSE: REPOSITÓRIOS DO GITHUB
+// ============================================
+/**
+ * @class GitHubRepos
+ * Gera cards de projeto a partir de um JSON no formato da API REST do GitHub
+ * (GET /users/:user/repos). A fonte pode ser um snapshot local, atualizado com:
+ *   curl "https://api.github.com/users/nicoly-rsousa/repos?per_page=100" > github-repos.json
+ * ou um servidor mock local. O resultado fica em cache no localStorage por CONFIG.GITHUB.CACHE_TTL.
+ * Se nada puder ser carregado, o HTML estático de .repo-grid é mantido.
+ *
+ * O repositório não inclui o snapshot (os dados não podem ser inventados), então o módulo
+ * não é registrado. Para ativá-lo, gere o arquivo, inclua-o em PUBLIC_FILES (mock-server.js)
+ * e registre-o como o 'content':
+ *   PortfolioApp.register('github', {
+ *     factory: () => new GitHubRepos(),
+ *     dependencies: ['i18n'],
+ *     init: (github, app) => github.init().then(nodes => app.hydrateContent(nodes))
+ *   });
+ */
+class GitHubRepos {
+  /**
+   * @param {object} [options] - Sobrescreve CONFIG.GITHUB nesta instância (ex: source, limit, pinned).
+   */
+  constructor(options = {}) {
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.GITHUB, options);
+    /** @type {string} */
+    this.source = this.options.source;
+    /** @type {object[]} */
+    this.repos = [];
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Carrega os repositórios (cache ou fonte) e renderiza os cards.
+   * @returns {Promise<HTMLElement[]>} Os cards criados (vazio se o HTML estático foi mantido).
+   */
+  async init() {
+    const container = DOM.select(SELECTORS.REPO_GRID);
+    if (!container) return [];
+    
+    try {
+      this.repos = this.readCache() || await this.fetchRepos();
+    } catch (error) {
+      console.warn('Repositórios do GitHub indisponíveis, mantendo HTML estático:', error);
+      return [];
+    }
+    
+    return this.render();
+  }
+  
+  /**
+   * Renderiza os cards com os repositórios já carregados (ex: ao mudar de idioma).
+   * Se nenhum repositório sobrar depois dos filtros (ex: só os já destacados nos
+   * projetos), o bloco "No GitHub" inteiro é ocultado.
+   * @returns {HTMLElement[]} Os cards criados.
+   */
+  render() {
+    const container = DOM.select(SELECTORS.REPO_GRID);
+    if (!container) return [];
+    
+    const cards = this.selectRepos(this.repos).map(repo => this.createCard(repo));
+    const title = DOM.select(SELECTORS.REPOS_TITLE);
+    container.hidden = !cards.length;
+    if (title) title.hidden = !cards.length;
+    if (!cards.length) return [];
+    
+    container.replaceChildren(...cards);
+    this.isActive = true;
+    return cards;
+  }
+  
+  /**
+   * @private
+   * @returns {object[] | null} Os repositórios em cache, se ainda válidos.
+   */
+  readCache() {
+    const cache = LocalStore.get(this.options.cacheKey);
+    const isFresh = cache && cache.source === this.source
+      && Date.now() - cache.timestamp < this.options.cacheTtl;
+    
+    return isFresh ? cache.repos : null;
+  }
+  
+  /**
+   * @private
+   * Busca os repositórios na fonte e atualiza o cache.
+   * @returns {Promise<object[]>}
+   */
+  async fetchRepos() {
+    const response = await fetch(this.source);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ao carregar ${this.source}`);
+    }
+    
+    const repos = await response.json();
+    if (!Array.isArray(repos)) {
+      throw new Error('Formato inesperado: era esperado um array de repositórios');
+    }
+    
+    LocalStore.set(this.options.cacheKey, { source: this.source, timestamp: Date.now(), repos });
+    return repos;
+  }
+  
+  /**
+   * Filtra, ordena e limita os repositórios exibidos. Repositórios excluídos, forks
+   * (exceto com options.includeForks) e os já destacados em outro
+   * .project-card ficam de fora; os fixados aparecem primeiro, na ordem configurada.
+   * @param {object[]} repos - Os repositórios no formato da API do GitHub.
+   * @returns {object[]}
+   */
+  selectRepos(repos) {
+    const { exclude, pinned, includeForks, limit } = this.options;
+    const featured = new Set(DOM.selectAll(`${SELECTORS.PROJECT_CARD}:not(.repo-card) a[href]`).map(a => a.href.replace(/\/$/, '')));
+    
+    const pinRank = (repo) => {
+      const index = pinned.indexOf(repo.name);
+      return index === -1 ? pinned.length : index;
+    };
+    
+    return repos
+      .filter(repo => !exclude.includes(repo.name))
+      .filter(repo => includeForks || !repo.fork)
+      .filter(repo => !featured.has(repo.html_url))
+      .sort((a, b) => pinRank(a) - pinRank(b) || this.compare(a, b))
+      .slice(0, limit);
+  }
+  
+  /**
+   * @private
+   * Compara dois repositórios segundo options.sort.
+   * @returns {number}
+   */
+  compare(a, b) {
+    switch (this.options.sort) {
+      case 'stars':
+        return b.stargazers_count - a.stargazers_count;
+      case 'name':
+        return a.name.localeCompare(b.name);
+      default:
+        return new Date(b.pushed_at || b.updated_at) - new Date(a.pushed_at || a.updated_at);
+    }
+  }
+  
+  /**
+   * @private
+   * Cria o card de um repositório.
+   * @param {object} repo - O repositório no formato da API do GitHub.
+   * @returns {HTMLElement} O elemento .project-card.repo-card.
+   */
+  createCard(repo) {
+    const topics = repo.topics || [];
+    const updated = new Date(repo.pushed_at || repo.updated_at);
+    const card = DOM.create('article', {
+      className: 'project-card repo-card reveal',
+      'data-tags': [repo.language, ...topics].filter(Boolean).join(',')
+    });
+    const body = DOM.create('div', { className: 'project-body' });
+    const meta = DOM.create('ul', { className: 'repo-meta' });
+    const tags = DOM.create('ul', { className: 'project-tags', 'aria-label': I18N.t('projects.topics') });
+    const links = DOM.create('div', { className: 'project-links' });
+    
+    const stars = repo.stargazers_count || 0;
+    const date = updated.toLocaleDateString(I18N.locale, { day: 'numeric', month: 'short', year: 'numeric' });
+    
+    if (repo.language) {
+      meta.appendChild(this.createMeta('fa-solid fa-code', repo.language, I18N.t('projects.language', { language: repo.language })));
+    }
+    meta.appendChild(this.createMeta('fa-solid fa-star', String(stars), I18N.t('projects.stars', { count: stars })));
+    meta.appendChild(this.createMeta('fa-solid fa-clock-rotate-left', date, I18N.t('projects.updated', { date })));
+    
+    topics.forEach(topic => tags.appendChild(DOM.create('li', { textContent: topic })));
+    
+    links.appendChild(this.createLink(repo.html_url, 'fa-brands fa-github', I18N.t('projects.code')));
+    if (repo.homepage) {
+      links.appendChild(this.createLink(repo.homepage, 'fa-solid fa-arrow-up-right-from-square', I18N.t('projects.demo')));
+    }
+    
+    body.append(
+      DOM.create('h3', { textContent: repo.name }),
+      DOM.create('p', { textContent: repo.description || I18N.t('projects.noDescription') }),
+      meta,
+      tags,
+      links
+    );
+    card.appendChild(body);
+    return card;
+  }
+  
+  /**
+   * @private
+   * Cria um item de metadado (linguagem, estrelas, data).
+   * @param {string} icon - As classes do ícone.
+   * @param {string} text - O texto visível.
+   * @param {string} [description=text] - O texto completo lido pelos leitores de tela.
+   * @returns {HTMLElement}
+   */
+  createMeta(icon, text, description = text) {
+    const item = DOM.create('li', { title: description });
+    item.append(
+      DOM.create('i', { className: icon, 'aria-hidden': 'true' }),
+      DOM.create('span', { 'aria-hidden': 'true', textContent: text }),
+      DOM.create('span', { className: 'sr-only', textContent: description })
+    );
+    return item;
+  }
+  
+  /**
+   * @private
+   * @param {string} href - A URL.
+   * @param {string} icon - As classes do ícone.
+   * @param {string} label - O texto do link.
+   * @returns {HTMLElement}
+   */
+  createLink(href, icon, label) {
+    const link = DOM.create('a', {
+      href,
+      className: 'project-link',
+      target: '_blank',
+      rel: 'noopener noreferrer'
+    });
+    link.append(DOM.create('i', { className: icon, 'aria-hidden': 'true' }), label);
+    return link;
+  }
+  
+  /**
+   * Marca o módulo como inativo (os cards renderizados permanecem na página).
+   */
+  destroy() {
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: FORMULÁRIO DE CONTATO
+// ============================================
+/**
+ * @typedef {object} ContactMessage
+ * @property {string} name
+ * @property {string} email
+ * @property {string} message
+ * @property {string} locale - O idioma da página no envio.
+ * @property {string} sentAt - Data do envio (ISO 8601).
+ */
+
+/**
+ * @typedef {object} ContactAdapter
+ * @property {function(ContactMessage): Promise<void>} send - Envia a mensagem. Deve rejeitar
+ *   com TypeError em falhas de rede (como o fetch), para que a mensagem seja guardada e
+ *   reenviada; qualquer outro erro é tratado como recusa do servidor.
+ */
+
+/**
+ * @class JsonEndpointAdapter
+ * Envia as mensagens como JSON (POST) para um endpoint genérico (ex: mock-server.js,
+ * uma função serverless ou um serviço de formulários).
+ * @implements {ContactAdapter}
+ */
+class JsonEndpointAdapter {
+  /**
+   * @param {string} [endpoint=CONFIG.CONTACT.ENDPOINT] - A URL do endpoint.
+   */
+  constructor(endpoint = CONFIG.CONTACT.ENDPOINT) {
+    /** @type {string} */
+    this.endpoint = endpoint;
+  }
+  
+  /**
+   * Envia uma mensagem.
+   * @param {ContactMessage} message - A mensagem.
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(message)
+    });
+    
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ao enviar para ${this.endpoint}`);
+    }
+  }
+}
+
+/**
+ * @class ContactForm
+ * Valida e envia o formulário de contato por um ContactAdapter. Inclui proteção contra
+ * spam (campo honeypot e tempo mínimo de preenchimento) e, sem conexão, guarda as
+ * mensagens no localStorage para reenviá-las quando o navegador voltar a ficar online.
+ * Sem JavaScript (ou se o envio falhar), o action="mailto:..." do formulário é o fallback.
+ */
+class ContactForm {
+  /**
+   * @param {ContactAdapter} [adapter] - Como as mensagens são enviadas (padrão: JsonEndpointAdapter em options.endpoint).
+   * @param {object} [options] - Sobrescreve CONFIG.CONTACT nesta instância (endpoint, minSubmitTime, queueKey).
+   */
+  constructor(adapter, options = {}) {
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.CONTACT, options);
+    /** @type {ContactAdapter} */
+    this.adapter = adapter || new JsonEndpointAdapter(this.options.endpoint);
+    /** @private @type {HTMLFormElement | null} */
+    this.form = null;
+    /** @private @type {HTMLElement | null} */
+    this.status = null;
+    /** @private @type {{ state: string, key: string, params: object } | null} */
+    this.currentStatus = null;
+    /** @private @type {number} */
+    this.startedAt = 0;
+    /** @private @type {boolean} */
+    this.isSending = false;
+    /** @private @type {boolean} */
+    this.isFlushing = false;
+    /** @type {boolean} */
+    this.isActive = false;
+    
+    /** @private */
+    this.submitHandler = (e) => this.handleSubmit(e);
+    /** @private */
+    this.blurHandler = (e) => {
+      if (this.getFields().includes(e.target)) this.validateField(e.target);
+    };
+    /** @private */
+    this.inputHandler = (e) => {
+      if (e.target.getAttribute('aria-invalid') === 'true') this.validateField(e.target);
+    };
+    /** @private */
+    this.onlineHandler = () => this.flushQueue();
+  }
+  
+  /**
+   * Inicializa: assume a validação do formulário e reenvia mensagens pendentes.
+   */
+  init() {
+    this.form = DOM.select(SELECTORS.CONTACT_FORM);
+    if (!this.form) return;
+    
+    this.status = DOM.select('.contact-status', this.form);
+    this.form.noValidate = true;
+    this.startedAt = Date.now();
+    
+    this.form.addEventListener('submit', this.submitHandler);
+    this.form.addEventListener('focusout', this.blurHandler);
+    this.form.addEventListener('input', this.inputHandler);
+    window.addEventListener('online', this.onlineHandler);
+    
+    this.isActive = true;
+    
+    if (navigator.onLine) {
+      this.flushQueue();
+    }
+  }
+  
+  /**
+   * @private
+   * @returns {HTMLInputElement[]} Os campos visíveis (sem o honeypot).
+   */
+  getFields() {
+    return DOM.selectAll('.contact-field input, .contact-field textarea', this.form);
+  }
+  
+  /**
+   * @private
+   * Lida com o envio: descarta spam, valida os campos e envia (ou guarda) a mensagem.
+   * @param {SubmitEvent} e - O evento de envio.
+   */
+  handleSubmit(e) {
+    e.preventDefault();
+    if (this.isSending) return;
+    
+    const invalid = this.getFields().filter(field => !this.validateField(field));
+    if (invalid.length) {
+      invalid[0].focus();
+      return;
+    }
+    
+    if (this.isSpam()) {
+      // Não dá pistas ao bot: finge que deu certo
+      this.form.reset();
+      this.setStatus('success', 'contact.success');
+      return;
+    }
+    
+    const data = new FormData(this.form);
+    const message = {
+      name: data.get('name').trim(),
+      email: data.get('email').trim(),
+      message: data.get('message').trim(),
+      locale: I18N.locale,
+      sentAt: new Date().toISOString()
+    };
+    
+    if (navigator.onLine) {
+      this.send(message);
+    } else {
+      this.enqueue(message);
+    }
+  }
+  
+  /**
+   * @private
+   * @returns {boolean} Se o honeypot foi preenchido ou o formulário foi enviado rápido demais.
+   */
+  isSpam() {
+    const honeypot = DOM.select('.contact-honeypot input', this.form);
+    return Boolean(honeypot && honeypot.value) || Date.now() - this.startedAt < this.options.minSubmitTime;
+  }
+  
+  /**
+   * @private
+   * Valida um campo e exibe (ou limpa) a mensagem de erro associada.
+   * @param {HTMLInputElement | HTMLTextAreaElement} field - O campo.
+   * @returns {boolean} Se o campo é válido.
+   */
+  validateField(field) {
+    const value = field.value.trim();
+    let error = null;
+    
+    if (field.required && !value) {
+      error = { key: 'contact.errors.required' };
+    } else if (field.type === 'email' && value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+      error = { key: 'contact.errors.email' };
+    } else if (field.minLength > 0 && value && value.length < field.minLength) {
+      error = { key: 'contact.errors.tooShort', params: { count: field.minLength } };
+    }
+    
+    const errorElement = DOM.select(`#${field.id}-error`, this.form);
+    if (errorElement) {
+      errorElement.textContent = error ? I18N.t(error.key, error.params) : '';
+    }
+    
+    if (error) {
+      field.setAttribute('aria-invalid', 'true');
+    } else {
+      field.removeAttribute('aria-invalid');
+    }
+    
+    return !error;
+  }
+  
+  /**
+   * @private
+   * Envia uma mensagem e exibe o resultado. Falhas de rede guardam a mensagem para depois.
+   * @param {ContactMessage} message - A mensagem.
+   */
+  async send(message) {
+    const button = DOM.select('[type="submit"]', this.form);
+    
+    this.isSending = true;
+    if (button) button.disabled = true;
+    this.setStatus('sending', 'contact.sending');
+    
+    try {
+      await this.adapter.send(message);
+      this.form.reset();
+      this.startedAt = Date.now();
+      this.setStatus('success', 'contact.success');
+    } catch (error) {
+      if (error instanceof TypeError) {
+        this.enqueue(message);
+      } else {
+        console.error('Erro ao enviar mensagem de contato:', error);
+        this.setStatus('error', 'contact.error');
+      }
+    } finally {
+      this.isSending = false;
+      if (button) button.disabled = false;
+    }
+  }
+  
+  /**
+   * @private
+   * Guarda uma mensagem para reenvio quando a conexão voltar.
+   * @param {ContactMessage} message - A mensagem.
+   */
+  enqueue(message) {
+    const queue = LocalStore.get(this.options.queueKey, []);
+    
+    if (!LocalStore.set(this.options.queueKey, [...queue, message])) {
+      this.setStatus('error', 'contact.error');
+      return;
+    }
+    
+    this.form.reset();
+    this.startedAt = Date.now();
+    this.setStatus('queued', 'contact.queued');
+  }
+  
+  /**
+   * Reenvia as mensagens guardadas offline, na ordem em que foram escritas.
+   * Para na primeira falha de rede; mensagens recusadas pelo servidor são descartadas.
+   * @returns {Promise<void>}
+   */
+  async flushQueue() {
+    const queue = LocalStore.get(this.options.queueKey, []);
+    if (this.isFlushing || !queue.length) return;
+    
+    this.isFlushing = true;
+    let sent = 0;
+    
+    while (queue.length) {
+      try {
+        await this.adapter.send(queue[0]);
+        sent++;
+      } catch (error) {
+        if (error instanceof TypeError) break;
+        console.warn('Mensagem guardada recusada pelo servidor, descartando:', error);
+      }
+      
+      queue.shift();
+      LocalStore.set(this.options.queueKey, queue);
+    }
+    
+    if (!queue.length) {
+      LocalStore.remove(this.options.queueKey);
+    }
+    
+    this.isFlushing = false;
+    
+    if (sent) {
+      this.setStatus('success', 'contact.flushed', { count: sent });
+    }
+  }
+  
+  /**
+   * @private
+   * Exibe o estado do envio na região de status (anunciada por leitores de tela).
+   * Em caso de erro, oferece um link mailto já preenchido com a mensagem.
+   * @param {string} state - 'sending' | 'success' | 'queued' | 'error'.
+   * @param {string} key - A chave de tradução da mensagem.
+   * @param {object} [params={}] - Parâmetros da tradução.
+   */
+  setStatus(state, key, params = {}) {
+    if (!this.status) return;
+    
+    this.currentStatus = { state, key, params };
+    this.status.dataset.state = state;
+    this.status.textContent = I18N.t(key, params);
+    
+    if (state === 'error') {
+      this.status.append(' ', DOM.create('a', {
+        href: this.getMailtoHref(),
+        textContent: I18N.t('contact.mailto')
+      }));
+    }
+  }
+  
+  /**
+   * @private
+   * @returns {string} O link mailto do formulário, com assunto e corpo preenchidos.
+   */
+  getMailtoHref() {
+    const data = new FormData(this.form);
+    const params = new URLSearchParams({
+      subject: `${I18N.t('contact.title')} - ${data.get('name')}`,
+      body: `${data.get('message')}\n\n${data.get('name')} <${data.get('email')}>`
+    });
+    
+    // URLSearchParams codifica espaços como "+", que clientes de e-mail não decodificam
+    return `${this.form.getAttribute('action')}?${params.toString().replace(/\+/g, '%20')}`;
+  }
+  
+  /**
+   * Traduz as mensagens de erro e de status exibidas (ex: ao mudar de idioma).
+   */
+  refreshTexts() {
+    if (!this.form) return;
+    
+    this.getFields()
+      .filter(field => field.getAttribute('aria-invalid') === 'true')
+      .forEach(field => this.validateField(field));
+    
+    if (this.currentStatus) {
+      const { state, key, params } = this.currentStatus;
+      this.setStatus(state, key, params);
+    }
+  }
+  
+  /**
+   * Remove os listeners (o formulário volta a usar o mailto nativo).
+   */
+  destroy() {
+    if (this.form) {
+      this.form.removeEventListener('submit', this.submitHandler);
+      this.form.removeEventListener('focusout', this.blurHandler);
+      this.form.removeEventListener('input', this.inputHandler);
+      this.form.noValidate = false;
+    }
+    
+    window.removeEventListener('online', this.onlineHandler);
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: CURRÍCULO PARA IMPRESSÃO
+// ============================================
+/**
+ * @class ResumePrinter
+ * Adiciona o botão "Baixar CV", que monta um currículo limpo a partir do conteúdo
+ * atual da página (cabeçalho, sobre, habilidades, experiência, formação e certificações)
+ * e abre o diálogo de impressão do navegador com o layout de impressão dedicado
+ * (html.print-resume), de onde o visitante pode salvar em PDF. Os efeitos são suspensos
+ * pelo PortfolioApp durante a impressão (beforeprint/afterprint).
+ */
+class ResumePrinter {
+  constructor() {
+    /** @private @type {HTMLElement | null} */
+    this.button = null;
+    /** @private @type {HTMLElement | null} */
+    this.resume = null;
+    /** @private */
+    this.cleanupHandler = () => this.cleanup();
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Cria o botão "Baixar CV" ao lado do botão de contato.
+   */
+  init() {
+    const wrapper = DOM.select(SELECTORS.CTA_WRAPPER);
+    if (!wrapper) return;
+    
+    this.button = DOM.create('button', {
+      type: 'button',
+      className: 'cta-button cta-button-secondary',
+      onClick: () => this.print()
+    });
+    this.button.append(
+      DOM.create('i', { className: 'fa-solid fa-file-arrow-down', 'aria-hidden': 'true' }),
+      DOM.create('span', { 'data-i18n': 'resume.download', textContent: I18N.t('resume.download') })
+    );
+    wrapper.appendChild(this.button);
+    this.isActive = true;
+  }
+  
+  /**
+   * Monta o currículo e abre o diálogo de impressão. O layout é desfeito no afterprint.
+   */
+  print() {
+    this.cleanup();
+    this.resume = this.build();
+    document.body.appendChild(this.resume);
+    document.documentElement.classList.add('print-resume');
+    
+    window.addEventListener('afterprint', this.cleanupHandler, { once: true });
+    window.print();
+  }
+  
+  /**
+   * @private
+   * Remove o currículo e volta ao layout de impressão normal da página.
+   */
+  cleanup() {
+    window.removeEventListener('afterprint', this.cleanupHandler);
+    document.documentElement.classList.remove('print-resume');
+    if (this.resume) this.resume.remove();
+    this.resume = null;
+  }
+  
+  /**
+   * @private
+   * @param {Element | null} element - O elemento.
+   * @returns {string} O texto do elemento com os espaços normalizados.
+   */
+  text(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+  
+  /**
+   * Monta o currículo a partir do conteúdo da página no idioma ativo.
+   * @returns {HTMLElement} O elemento .resume.
+   */
+  build() {
+    const resume = DOM.create('article', { className: 'resume', lang: I18N.locale });
+    const jobs = DOM.selectAll(`${SELECTORS.TIMELINE_ITEM}:not([data-type="education"])`);
+    
+    resume.append(
+      this.buildHeader(),
+      this.buildSection('about.title', [DOM.create('p', { textContent: this.text(DOM.select('#about p')) })]),
+      this.buildSection('skills.title', [this.buildSkills()]),
+      this.buildSection('experience.title', jobs.map(item => this.buildEntry(
+        this.text(DOM.select('h3', item)),
+        this.text(DOM.select('.timeline-date', item)),
+        DOM.selectAll('li', item).map(li => this.text(li))
+      ))),
+      this.buildSection('education.title', DOM.selectAll('.education-card').map(card => this.buildEntry(
+        this.text(DOM.select('h3', card)),
+        this.text(DOM.select('.institution', card))
+      ))),
+      this.buildSection('education.certifications', [this.buildList(DOM.selectAll('.cert-badge').map(badge => (
+        `${this.text(DOM.select('h4', badge))} ${this.text(DOM.select('span', badge))}`
+      )))])
+    );
+    
+    return resume;
+  }
+  
+  /**
+   * @private
+   * Cabeçalho: nome, título, bio e contatos (com os endereços por extenso, já que links
+   * não funcionam no papel).
+   * @returns {HTMLElement}
+   */
+  buildHeader() {
+    const header = DOM.create('header', { className: 'resume-header' });
+    const contacts = DOM.selectAll(SELECTORS.SOCIAL_LINKS).map(link => (
+      link.protocol === 'mailto:'
+        ? link.getAttribute('href').replace(/^mailto:/, '')
+        : `${link.hostname.replace(/^www\./, '')}${link.pathname.replace(/\/$/, '')}`
+    ));
+    
+    header.append(
+      DOM.create('h1', { textContent: this.text(DOM.select('header h1')) }),
+      DOM.create('p', { className: 'resume-title', textContent: I18N.t('header.subtitle') }),
+      DOM.create('p', { textContent: this.text(DOM.select('.bio')) }),
+      this.buildList(contacts, 'resume-contacts')
+    );
+    return header;
+  }
+  
+  /**
+   * @private
+   * @returns {HTMLElement} As habilidades como "Título: descrição".
+   */
+  buildSkills() {
+    return this.buildList(DOM.selectAll(SELECTORS.SKILL_CARDS).map(card => (
+      `${this.text(DOM.select('h3', card))}: ${this.text(DOM.select('p', card))}`
+    )), 'resume-skills');
+  }
+  
+  /**
+   * @private
+   * @param {string} titleKey - A chave de tradução do título.
+   * @param {HTMLElement[]} children - O conteúdo da seção.
+   * @returns {HTMLElement | string} A seção (ou texto vazio, se não houver conteúdo).
+   */
+  buildSection(titleKey, children) {
+    if (!children.length) return '';
+    
+    const section = DOM.create('section');
+    section.append(DOM.create('h2', { textContent: I18N.t(titleKey) }), ...children);
+    return section;
+  }
+  
+  /**
+   * @private
+   * @param {string} title - O título da entrada (cargo ou curso).
+   * @param {string} subtitle - Instituição e período.
+   * @param {string[]} [items=[]] - As atividades.
+   * @returns {HTMLElement}
+   */
+  buildEntry(title, subtitle, items = []) {
+    const entry = DOM.create('div', { className: 'resume-entry' });
+    
+    entry.append(
+      DOM.create('h3', { textContent: title }),
+      DOM.create('p', { className: 'resume-meta', textContent: subtitle })
+    );
+    if (items.length) entry.appendChild(this.buildList(items));
+    return entry;
+  }
+  
+  /**
+   * @private
+   * @param {string[]} items - Os textos.
+   * @param {string} [className=''] - A classe da lista.
+   * @returns {HTMLElement}
+   */
+  buildList(items, className = '') {
+    const list = DOM.create('ul', { className });
+    items.filter(Boolean).forEach(item => list.appendChild(DOM.create('li', { textContent: item })));
+    return list;
+  }
+  
+  /**
+   * Remove o botão e o currículo, se estiver montado.
+   */
+  destroy() {
+    this.cleanup();
+    if (this.button) this.button.remove();
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: EXPORTAÇÃO DO PERFIL
+// ============================================
+/**
+ * @class ProfileExporter
+ * Oferece downloads gerados a partir do próprio conteúdo da página: um resume.json no
+ * schema do JSON Resume (https://jsonresume.org/schema) e um cartão de contato .vcf
+ * (vCard 3.0). A leitura da página (readProfile) e as conversões (toJson, toVCard) são
+ * estáticas e dependem só dos argumentos, para poderem ser comparadas com as fixtures de
+ * fixtures/profile (page.html → resume.json e profile.vcf) por fixtures/profile/check.js:
+ *   npm install --no-save jsdom && node fixtures/profile/check.js
+ */
+class ProfileExporter {
+  constructor() {
+    /** @private @type {HTMLElement | null} */
+    this.links = null;
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Cria os links de download no rodapé.
+   */
+  init() {
+    const footer = DOM.select('footer');
+    if (!footer) return;
+    
+    this.links = DOM.create('p', { className: 'profile-downloads' });
+    this.links.append(
+      DOM.create('span', { 'data-i18n': 'export.label', textContent: I18N.t('export.label') }),
+      ' ',
+      DOM.create('button', { type: 'button', textContent: 'resume.json', onClick: () => this.downloadJson() }),
+      ' · ',
+      DOM.create('button', { type: 'button', textContent: 'vCard', onClick: () => this.downloadVCard() })
+    );
+    footer.appendChild(this.links);
+    this.isActive = true;
+  }
+  
+  /**
+   * Baixa o perfil no formato JSON Resume.
+   */
+  downloadJson() {
+    DOM.download('resume.json', ProfileExporter.toJson(ProfileExporter.readProfile(document, I18N.t('header.subtitle'))));
+  }
+  
+  /**
+   * Baixa o cartão de contato (.vcf).
+   */
+  downloadVCard() {
+    const profile = ProfileExporter.readProfile(document, I18N.t('header.subtitle'));
+    const filename = `${ProfileExporter.slugify(profile.basics.name) || 'contato'}.vcf`;
+    DOM.download(filename, ProfileExporter.toVCard(profile), 'text/vcard;charset=utf-8');
+  }
+  
+  /**
+   * Lê o perfil do conteúdo da página, já no schema do JSON Resume.
+   * @param {Document | HTMLElement} [root=document] - Onde procurar o conteúdo.
+   * @param {string} [label] - O título profissional (o subtítulo da página é animado pelo
+   *   TypingEffect, então o texto vem de fora, ex: I18N.t('header.subtitle')).
+   * @returns {object} O currículo ({ basics, work, education, skills, certificates }).
+   */
+  static readProfile(root = document, label) {
+    const text = (element) => (element ? element.textContent.replace(/\s+/g, ' ').trim() : '');
+    const links = DOM.selectAll(SELECTORS.SOCIAL_LINKS, root);
+    const mailto = links.find(link => link.protocol === 'mailto:');
+    const image = DOM.select('.profile-image', root);
+    
+    return {
+      basics: {
+        name: text(DOM.select('header h1', root)),
+        label,
+        image: image ? image.src : undefined,
+        email: mailto ? mailto.getAttribute('href').replace(/^mailto:/, '') : undefined,
+        url: root.defaultView ? root.defaultView.location.href.split('#')[0] : undefined,
+        summary: text(DOM.select('#about p', root)),
+        profiles: links.filter(link => link !== mailto).map(link => ({
+          network: link.getAttribute('aria-label') || text(link),
+          username: link.pathname.split('/').filter(Boolean).pop(),
+          url: link.href
+        }))
+      },
+      work: DOM.selectAll(`${SELECTORS.TIMELINE_ITEM}:not([data-type="education"])`, root).map(item => {
+        const period = DOM.select('[data-period-start]', item);
+        const [name, location] = ProfileExporter.splitMeta(DOM.select('.timeline-date', item), period);
+        
+        return {
+          name,
+          position: text(DOM.select('h3', item)),
+          location,
+          startDate: period ? period.dataset.periodStart : undefined,
+          endDate: period ? period.dataset.periodEnd : undefined,
+          highlights: DOM.selectAll('li', item).map(text)
+        };
+      }),
+      education: DOM.selectAll('.education-card', root).map(card => {
+        const semester = DOM.select('[data-semester-start]', card);
+        const [institution] = ProfileExporter.splitMeta(DOM.select('.institution', card), semester);
+        
+        return {
+          institution: institution.replace(/\s*\(.*\)$/, ''),
+          area: text(DOM.select('h3', card)),
+          startDate: semester ? semester.dataset.semesterStart : undefined
+        };
+      }),
+      skills: DOM.selectAll(SELECTORS.SKILL_CARDS, root).map(card => ({
+        name: text(DOM.select('h3', card)),
+        keywords: text(DOM.select('p', card)).split(',').map(keyword => keyword.trim()).filter(Boolean)
+      })),
+      certificates: DOM.selectAll('.cert-badge', root).map(badge => ({
+        name: text(DOM.select('h4', badge)),
+        date: text(DOM.select('span', badge)).replace(/[()]/g, '') || undefined
+      }))
+    };
+  }
+  
+  /**
+   * @private
+   * Separa os trechos " • " de uma linha de metadados (ex: "Empresa • período • Cidade"),
+   * ignorando o trecho do período.
+   * @param {HTMLElement | null} element - A linha (.timeline-date, .institution).
+   * @param {HTMLElement | null} period - O span do período, se houver.
+   * @returns {string[]} Os trechos restantes (pelo menos um, possivelmente vazio).
+   */
+  static splitMeta(element, period) {
+    if (!element) return [''];
+    
+    const periodText = period ? period.textContent.trim() : null;
+    const parts = element.textContent.split(' • ')
+      .map(part => part.replace(/\s+/g, ' ').trim())
+      .filter(part => part && part !== periodText);
+    
+    return parts.length ? parts : [''];
+  }
+  
+  /**
+   * Serializa o currículo como JSON (chaves sem valor são omitidas).
+   * @param {object} profile - O currículo (ver readProfile).
+   * @returns {string}
+   */
+  static toJson(profile) {
+    return `${JSON.stringify({ $schema: CONFIG.EXPORT.JSON_RESUME_SCHEMA, ...profile }, null, 2)}\n`;
+  }
+  
+  /**
+   * Gera um vCard 3.0 com nome, título, e-mail e os perfis sociais do currículo.
+   * @param {object} profile - O currículo (ver readProfile).
+   * @returns {string} O conteúdo do .vcf (linhas terminadas em CRLF).
+   */
+  static toVCard({ basics }) {
+    const names = basics.name.split(' ');
+    const family = names.length > 1 ? names.pop() : '';
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${ProfileExporter.escapeVCard(family)};${ProfileExporter.escapeVCard(names.join(' '))};;;`,
+      `FN:${ProfileExporter.escapeVCard(basics.name)}`
+    ];
+    
+    if (basics.label) lines.push(`TITLE:${ProfileExporter.escapeVCard(basics.label)}`);
+    if (basics.email) lines.push(`EMAIL;TYPE=INTERNET:${basics.email}`);
+    if (basics.url) lines.push(`URL:${basics.url}`);
+    (basics.profiles || []).forEach(({ network, url }) => {
+      lines.push(`URL;TYPE=${network.toLowerCase()}:${url}`);
+      lines.push(`X-SOCIALPROFILE;TYPE=${network.toLowerCase()}:${url}`);
+    });
+    lines.push('END:VCARD');
+    
+    return `${lines.map(ProfileExporter.foldVCardLine).join('\r\n')}\r\n`;
+  }
+  
+  /**
+   * @private
+   * Escapa um valor de texto do vCard (barras, vírgulas, ponto e vírgula e quebras de linha).
+   * @param {string} value - O valor.
+   * @returns {string}
+   */
+  static escapeVCard(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/([,;])/g, '\\$1')
+      .replace(/\r?\n/g, '\\n');
+  }
+  
+  /**
+   * @private
+   * Quebra linhas longas do vCard (continuações começam com um espaço). O limite conta
+   * octetos em UTF-8, como nas RFCs 2426 e 6350, e nenhum caractere é cortado ao meio.
+   * @param {string} line - A linha.
+   * @returns {string}
+   */
+  static foldVCardLine(line) {
+    const encoder = new TextEncoder();
+    const chunks = [''];
+    let size = 0;
+    
+    Array.from(line).forEach(char => {
+      const bytes = encoder.encode(char).length;
+      // O espaço que inicia as continuações também conta no limite
+      const limit = CONFIG.EXPORT.VCARD_LINE_LENGTH - (chunks.length > 1 ? 1 : 0);
+      
+      if (size + bytes > limit) {
+        chunks.push('');
+        size = 0;
+      }
+      chunks[chunks.length - 1] += char;
+      size += bytes;
+    });
+    return chunks.join('\r\n ');
+  }
+  
+  /**
+   * @private
+   * @param {string} value - O texto (ex: um nome).
+   * @returns {string} O texto em minúsculas, sem acentos e com hífens (ex: 'nicoly-rodrigues').
+   */
+  static slugify(value) {
+    return value.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  }
+  
+  /**
+   * Remove os links de download.
+   */
+  destroy() {
+    if (this.links) this.links.remove();
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: DADOS ESTRUTURADOS (SEO)
+// ============================================
+/**
+ * @class StructuredData
+ * Gera, a partir do perfil renderizado (ProfileExporter.readProfile), um bloco JSON-LD
+ * schema.org Person e preenche as metatags Open Graph e Twitter Card do <head>. As tags
+ * estáticas do index.html servem aos crawlers que não executam JavaScript; este módulo
+ * as mantém em sincronia com o conteúdo e o idioma ativos.
+ */
+class StructuredData {
+  constructor() {
+    /** @private @type {HTMLScriptElement | null} */
+    this.script = null;
+    /** @private @type {HTMLMetaElement[]} Metatags criadas pelo módulo (removidas no destroy). */
+    this.createdMeta = [];
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Cria o bloco JSON-LD e preenche as metatags.
+   */
+  init() {
+    this.script = DOM.create('script', { type: 'application/ld+json', id: 'person-jsonld' });
+    document.head.appendChild(this.script);
+    this.isActive = true;
+    this.update();
+  }
+  
+  /**
+   * Relê o perfil e atualiza o JSON-LD e as metatags (ex: após renderizar o conteúdo
+   * ou trocar de idioma).
+   */
+  update() {
+    if (!this.isActive) return;
+    
+    const profile = ProfileExporter.readProfile(document, I18N.t('header.subtitle'));
+    this.script.textContent = JSON.stringify(StructuredData.toPerson(profile), null, 2);
+    this.updateMeta(profile);
+  }
+  
+  /**
+   * Monta o schema.org Person de um perfil.
+   * @param {object} profile - O currículo no schema do JSON Resume (ver ProfileExporter.readProfile).
+   * @returns {object}
+   */
+  static toPerson({ basics, education, certificates }) {
+    const schools = Array.from(new Set(education.map(course => course.institution).filter(Boolean)));
+    
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      name: basics.name,
+      jobTitle: basics.label,
+      url: StructuredData.getSiteUrl(),
+      image: StructuredData.getImageUrl(),
+      email: basics.email ? `mailto:${basics.email}` : undefined,
+      sameAs: basics.profiles.map(profile => profile.url),
+      alumniOf: schools.map(name => ({ '@type': 'EducationalOrganization', name })),
+      hasCredential: certificates.map(certificate => ({
+        '@type': 'EducationalOccupationalCredential',
+        credentialCategory: 'certificate',
+        name: certificate.name,
+        dateCreated: certificate.date
+      }))
+    };
+  }
+  
+  /**
+   * @private
+   * @returns {string} A URL canônica do site: CONFIG.SEO.SITE_URL ou, sem ela, a da página (sem o hash).
+   */
+  static getSiteUrl() {
+    return new URL(CONFIG.SEO.SITE_URL || document.baseURI.split('#')[0], document.baseURI).href;
+  }
+  
+  /**
+   * @private
+   * @returns {string} A URL absoluta da imagem de compartilhamento (CONFIG.SEO.IMAGE).
+   */
+  static getImageUrl() {
+    return new URL(CONFIG.SEO.IMAGE, StructuredData.getSiteUrl()).href;
+  }
+  
+  /**
+   * @private
+   * Preenche as metatags Open Graph e Twitter Card.
+   * @param {object} profile - O currículo (ver ProfileExporter.readProfile).
+   */
+  updateMeta({ basics }) {
+    const summary = I18N.t('meta.description');
+    const [firstName, ...lastNames] = basics.name.split(' ');
+    const image = DOM.select('.profile-image');
+    
+    [
+      ['property', 'og:type', 'profile'],
+      ['property', 'og:title', document.title],
+      ['property', 'og:description', summary],
+      ['property', 'og:url', StructuredData.getSiteUrl()],
+      ['property', 'og:image', StructuredData.getImageUrl()],
+      ['property', 'og:image:alt', image ? image.alt : basics.name],
+      ['property', 'og:locale', CONFIG.SEO.OG_LOCALES[I18N.locale]],
+      ['property', 'profile:first_name', firstName],
+      ['property', 'profile:last_name', lastNames.join(' ')],
+      ['name', 'twitter:card', CONFIG.SEO.TWITTER_CARD],
+      ['name', 'twitter:title', document.title],
+      ['name', 'twitter:description', summary],
+      ['name', 'twitter:image', StructuredData.getImageUrl()],
+      ['name', 'twitter:image:alt', image ? image.alt : basics.name]
+    ].forEach(([attribute, key, content]) => this.setMeta(attribute, key, content));
+  }
+  
+  /**
+   * @private
+   * Atualiza (ou cria) uma metatag.
+   * @param {string} attribute - 'property' (Open Graph) ou 'name' (Twitter).
+   * @param {string} key - O valor do atributo (ex: 'og:title').
+   * @param {string} [content] - O conteúdo; vazio mantém a tag como está.
+   */
+  setMeta(attribute, key, content) {
+    if (!content) return;
+    
+    let meta = DOM.select(`meta[${attribute}="${key}"]`, document.head);
+    if (!meta) {
+      meta = DOM.create('meta', { [attribute]: key });
+      document.head.appendChild(meta);
+      this.createdMeta.push(meta);
+    }
+    meta.setAttribute('content', content);
+  }
+  
+  /**
+   * Remove o JSON-LD e as metatags criadas pelo módulo (as estáticas são mantidas).
+   */
+  destroy() {
+    if (this.script) this.script.remove();
+    this.createdMeta.forEach(meta => meta.remove());
+    this.createdMeta = [];
+    this.script = null;
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: ANALYTICS LOCAL
+// ============================================
+/**
+ * @class Analytics
+ * Analytics sem cookies: registra o tempo de leitura de cada seção, os cliques em
+ * .social-btn e .cta-button e a profundidade de scroll, e envia os eventos em lotes com
+ * navigator.sendBeacon para CONFIG.ANALYTICS.ENDPOINT (simulado por mock-server.js).
+ * Não guarda identificadores: a sessão existe só na memória da aba. Respeita o Do Not
+ * Track (e o Global Privacy Control) e um opt-out do visitante, salvo no localStorage.
+ */
+class Analytics {
+  /**
+   * @param {object} [options] - Sobrescreve CONFIG.ANALYTICS nesta instância (ex: endpoint, batchSize).
+   */
+  constructor(options = {}) {
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.ANALYTICS, options);
+    /** @private @type {object[]} Eventos aguardando envio. */
+    this.queue = [];
+    /** @private @type {string} Identificador da aba (não persistido). */
+    this.session = Math.random().toString(36).slice(2, 10);
+    /** @private @type {IntersectionObserver | null} */
+    this.observer = null;
+    /** @private @type {Map<string, number | null>} Seções visíveis → início da leitura (null com a aba oculta). */
+    this.readingSince = new Map();
+    /** @private @type {Set<number>} Marcos de profundidade já registrados. */
+    this.depthsReached = new Set();
+    /** @private @type {HTMLElement | null} */
+    this.toggle = null;
+    /** @type {boolean} Se os eventos estão sendo registrados. */
+    this.isTracking = false;
+    /** @type {boolean} */
+    this.isActive = false;
+    
+    /** @private */
+    this.clickHandler = (e) => this.handleClick(e);
+    /** @private */
+    this.scrollHandler = Performance.throttle(() => this.trackDepth(), 250);
+    /** @private */
+    this.visibilityHandler = (e) => this.handleVisibilityChange(e);
+  }
+  
+  /**
+   * @returns {boolean} Se o navegador pede para não ser rastreado (DNT ou GPC).
+   */
+  static isDoNotTrack() {
+    return [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].includes('1')
+      || navigator.globalPrivacyControl === true;
+  }
+  
+  /**
+   * @returns {boolean} Se o visitante desativou as estatísticas.
+   */
+  isOptedOut() {
+    return LocalStore.get(this.options.optOutKey, false) === true;
+  }
+  
+  /**
+   * Cria o controle de opt-out e, se permitido, começa a registrar.
+   */
+  init() {
+    this.createToggle();
+    document.addEventListener('visibilitychange', this.visibilityHandler);
+    window.addEventListener('pagehide', this.visibilityHandler);
+    this.isActive = true;
+    
+    if (!Analytics.isDoNotTrack() && !this.isOptedOut()) this.start();
+    this.updateToggle();
+  }
+  
+  /**
+   * @private
+   * Começa a observar seções, cliques e scroll.
+   */
+  start() {
+    if (this.isTracking) return;
+    
+    this.isTracking = true;
+    document.addEventListener('click', this.clickHandler);
+    window.addEventListener('scroll', this.scrollHandler, { passive: true });
+    
+    if (Performance.supportsIntersectionObserver()) {
+      // Uma seção está "sendo lida" enquanto cruza a faixa central da viewport
+      this.observer = new IntersectionObserver(
+        this.handleIntersection.bind(this),
+        { root: null, threshold: 0, rootMargin: this.options.readingMargin }
+      );
+      DOM.selectAll(SELECTORS.SECTIONS).forEach(section => this.observer.observe(section));
+    }
+  }
+  
+  /**
+   * @private
+   * Para de registrar e descarta o que não foi enviado.
+   */
+  stop() {
+    this.isTracking = false;
+    document.removeEventListener('click', this.clickHandler);
+    window.removeEventListener('scroll', this.scrollHandler);
+    
+    if (this.observer) this.observer.disconnect();
+    this.observer = null;
+    this.readingSince.clear();
+    this.queue = [];
+  }
+  
+  /**
+   * Desativa (ou reativa) as estatísticas a pedido do visitante.
+   * @param {boolean} optOut - true para desativar.
+   */
+  setOptOut(optOut) {
+    LocalStore.set(this.options.optOutKey, optOut);
+    
+    if (optOut) this.stop();
+    else if (!Analytics.isDoNotTrack()) this.start();
+    this.updateToggle();
+  }
+  
+  /**
+   * @private
+   * Cria, no rodapé, o aviso das estatísticas com o botão de opt-out.
+   */
+  createToggle() {
+    const footer = DOM.select('footer');
+    if (!footer) return;
+    
+    this.toggle = DOM.create('p', { className: 'analytics-toggle' });
+    footer.appendChild(this.toggle);
+  }
+  
+  /**
+   * Atualiza o aviso com o estado atual (ex: ao trocar de idioma).
+   */
+  updateToggle() {
+    if (!this.toggle) return;
+    
+    const status = DOM.create('span', {
+      textContent: I18N.t(Analytics.isDoNotTrack() ? 'analytics.dnt' : (this.isTracking ? 'analytics.on' : 'analytics.off'))
+    });
+    this.toggle.replaceChildren(status);
+    
+    if (!Analytics.isDoNotTrack()) {
+      this.toggle.append(' ', DOM.create('button', {
+        type: 'button',
+        'aria-pressed': String(!this.isTracking),
+        textContent: I18N.t(this.isTracking ? 'analytics.disable' : 'analytics.enable'),
+        onClick: () => this.setOptOut(this.isTracking)
+      }));
+    }
+  }
+  
+  /**
+   * @private
+   * Adiciona um evento à fila (enviando o lote se ele estiver cheio).
+   * @param {string} type - O tipo ('dwell', 'click' ou 'scroll').
+   * @param {object} data - Os dados do evento.
+   */
+  track(type, data) {
+    if (!this.isTracking) return;
+    
+    this.queue.push({ type, ...data, at: Math.round(performance.now()) });
+    if (this.queue.length >= this.options.batchSize) this.flush();
+  }
+  
+  /**
+   * @private
+   * Registra o início e o fim da leitura das seções.
+   * @param {IntersectionObserverEntry[]} entries - As entradas do observador.
+   */
+  handleIntersection(entries) {
+    entries.forEach(entry => {
+      const id = entry.target.id;
+      
+      if (entry.isIntersecting) {
+        this.readingSince.set(id, document.hidden ? null : performance.now());
+      } else {
+        this.endReading(id);
+      }
+    });
+  }
+  
+  /**
+   * @private
+   * Encerra a leitura de uma seção e registra o tempo (leituras muito curtas são ignoradas).
+   * @param {string} id - O id da seção.
+   */
+  endReading(id) {
+    const since = this.readingSince.get(id);
+    this.readingSince.delete(id);
+    if (since === null || since === undefined) return;
+    
+    const duration = Math.round(performance.now() - since);
+    if (duration >= this.options.minDwell) this.track('dwell', { section: id, duration });
+  }
+  
+  /**
+   * @private
+   * Registra cliques nos links sociais e no botão de contato.
+   * @param {MouseEvent} e
+   */
+  handleClick(e) {
+    const target = e.target.closest(SELECTORS.TRACKED_LINKS);
+    if (!target) return;
+    
+    this.track('click', {
+      label: target.getAttribute('aria-label') || target.textContent.replace(/\s+/g, ' ').trim(),
+      href: target.getAttribute('href') || undefined
+    });
+  }
+  
+  /**
+   * @private
+   * Registra cada marco de profundidade de scroll na primeira vez em que é alcançado.
+   */
+  trackDepth() {
+    const progress = ScrollProgress.getProgress();
+    
+    this.options.scrollMilestones.forEach(depth => {
+      if (progress >= depth && !this.depthsReached.has(depth)) {
+        this.depthsReached.add(depth);
+        this.track('scroll', { depth });
+      }
+    });
+  }
+  
+  /**
+   * @private
+   * Ao esconder a aba, encerra as leituras em andamento e envia o lote; ao voltar,
+   * retoma a contagem das seções que continuam visíveis.
+   * @param {Event} e - O evento visibilitychange ou pagehide.
+   */
+  handleVisibilityChange(e) {
+    if (!this.isTracking) return;
+    
+    if (document.hidden || e.type === 'pagehide') {
+      Array.from(this.readingSince.keys()).forEach(id => {
+        this.endReading(id);
+        this.readingSince.set(id, null);
+      });
+      this.flush();
+    } else {
+      Array.from(this.readingSince.keys()).forEach(id => this.readingSince.set(id, performance.now()));
+    }
+  }
+  
+  /**
+   * Envia os eventos pendentes com navigator.sendBeacon (que sobrevive ao fechamento da aba).
+   * @returns {boolean} Se um lote foi entregue ao navegador.
+   */
+  flush() {
+    if (!this.queue.length || typeof navigator.sendBeacon !== 'function') return false;
+    
+    const payload = JSON.stringify({
+      session: this.session,
+      page: window.location.pathname,
+      locale: I18N.locale,
+      events: this.queue
+    });
+    const sent = navigator.sendBeacon(this.options.endpoint, new Blob([payload], { type: 'application/json' }));
+    
+    if (sent) this.queue = [];
+    return sent;
+  }
+  
+  /**
+   * Envia o que restou e para de registrar.
+   */
+  destroy() {
+    Array.from(this.readingSince.keys()).forEach(id => this.endReading(id));
+    this.flush();
+    this.stop();
+    document.removeEventListener('visibilitychange', this.visibilityHandler);
+    window.removeEventListener('pagehide', this.visibilityHandler);
+    if (this.toggle) this.toggle.remove();
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: SUPORTE OFFLINE
+// ============================================
+/**
+ * @class OfflineSupport
+ * Registra o service worker (sw.js), que pré-carrega o app shell e guarda os assets das
+ * CDNs, exibe um indicador enquanto a conexão estiver offline e oferece recarregar quando
+ * uma nova versão do site (ou do próprio worker) for publicada.
+ */
+class OfflineSupport {
+  constructor() {
+    /** @private @type {ServiceWorkerRegistration | null} */
+    this.registration = null;
+    /** @private @type {HTMLElement | null} */
+    this.indicator = null;
+    /** @private @type {HTMLElement | null} */
+    this.prompt = null;
+    /** @private @type {boolean} Se a página deve recarregar quando o novo worker assumir. */
+    this.reloadOnControllerChange = false;
+    /** @type {boolean} */
+    this.isActive = false;
+    
+    /** @private */
+    this.connectionHandler = () => this.updateIndicator();
+    /** @private */
+    this.messageHandler = (e) => {
+      if (e.data && e.data.type === 'UPDATE_AVAILABLE') this.showUpdatePrompt();
+    };
+    /** @private */
+    this.controllerHandler = () => {
+      if (this.reloadOnControllerChange) window.location.reload();
+    };
+  }
+  
+  /**
+   * Cria o indicador offline e registra o service worker.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    this.createIndicator();
+    window.addEventListener('online', this.connectionHandler);
+    window.addEventListener('offline', this.connectionHandler);
+    this.isActive = true;
+    
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    navigator.serviceWorker.addEventListener('message', this.messageHandler);
+    navigator.serviceWorker.addEventListener('controllerchange', this.controllerHandler);
+    
+    try {
+      this.registration = await navigator.serviceWorker.register(CONFIG.OFFLINE.SERVICE_WORKER);
+    } catch (error) {
+      console.warn('Service worker não registrado:', error);
+      return;
+    }
+    
+    if (this.registration.waiting && navigator.serviceWorker.controller) this.showUpdatePrompt();
+    this.registration.addEventListener('updatefound', () => this.trackInstalling());
+  }
+  
+  /**
+   * @private
+   * Acompanha um novo worker: se ele instalar com a página já controlada, há uma nova versão.
+   */
+  trackInstalling() {
+    const worker = this.registration.installing;
+    if (!worker) return;
+    
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) this.showUpdatePrompt();
+    });
+  }
+  
+  /**
+   * @private
+   * Cria o indicador de conexão (oculto enquanto online).
+   */
+  createIndicator() {
+    this.indicator = DOM.create('p', {
+      className: 'offline-indicator',
+      role: 'status',
+      'aria-live': 'polite',
+      hidden: ''
+    });
+    this.indicator.append(
+      DOM.create('i', { className: 'fa-solid fa-wifi', 'aria-hidden': 'true' }),
+      ' ',
+      DOM.create('span', { 'data-i18n': 'offline.message', textContent: I18N.t('offline.message') })
+    );
+    document.body.appendChild(this.indicator);
+    this.updateIndicator();
+  }
+  
+  /**
+   * @private
+   * Mostra ou esconde o indicador conforme o estado da conexão.
+   */
+  updateIndicator() {
+    if (this.indicator) this.indicator.hidden = navigator.onLine;
+  }
+  
+  /**
+   * Exibe o aviso "Nova versão disponível" com o botão de recarregar.
+   */
+  showUpdatePrompt() {
+    if (this.prompt) return;
+    
+    this.prompt = DOM.create('div', { className: 'update-prompt', role: 'alert' });
+    this.prompt.append(
+      DOM.create('span', { 'data-i18n': 'offline.update', textContent: I18N.t('offline.update') }),
+      DOM.create('button', {
+        type: 'button',
+        'data-i18n': 'offline.reload',
+        textContent: I18N.t('offline.reload'),
+        onClick: () => this.applyUpdate()
+      }),
+      DOM.create('button', {
+        type: 'button',
+        className: 'update-prompt-dismiss',
+        'aria-label': I18N.t('offline.dismiss'),
+        'data-i18n-attr': 'aria-label:offline.dismiss',
+        textContent: '×',
+        onClick: () => this.hideUpdatePrompt()
+      })
+    );
+    document.body.appendChild(this.prompt);
+  }
+  
+  /**
+   * @private
+   * Remove o aviso de nova versão.
+   */
+  hideUpdatePrompt() {
+    if (this.prompt) this.prompt.remove();
+    this.prompt = null;
+  }
+  
+  /**
+   * Ativa o worker em espera (a página recarrega quando ele assumir) ou, se a novidade
+   * for só nos arquivos (já atualizados no cache), recarrega direto.
+   */
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+    
+    if (waiting) {
+      this.reloadOnControllerChange = true;
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    } else {
+      window.location.reload();
+    }
+  }
+  
+  /**
+   * Remove o indicador e o aviso (o service worker continua registrado).
+   */
+  destroy() {
+    window.removeEventListener('online', this.connectionHandler);
+    window.removeEventListener('offline', this.connectionHandler);
+    
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('message', this.messageHandler);
+      navigator.serviceWorker.removeEventListener('controllerchange', this.controllerHandler);
+    }
+    
+    if (this.indicator) this.indicator.remove();
+    this.hideUpdatePrompt();
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: PALETA DE COMANDOS
+// ============================================
+/**
+ * @typedef {object} PaletteCommand
+ * @property {string} id - Identificador único (registrar o mesmo id substitui o comando).
+ * @property {string | function(): string} title - O texto exibido (uma função é avaliada a
+ *   cada abertura, o que permite traduções e estados como "Pausar"/"Retomar").
+ * @property {string[]} [keywords=[]] - Termos extras considerados na busca.
+ * @property {string} [icon] - Classes do ícone Font Awesome (ex: 'fa-solid fa-envelope').
+ * @property {function(): boolean} [when] - Se o comando está disponível no momento.
+ * @property {function(): void} run - A ação executada.
+ */
+
+/**
+ * @class CommandPalette
+ * Paleta de comandos (Ctrl/Cmd+K) com busca aproximada: navegar pelas seções, abrir as
+ * redes sociais, copiar o e-mail, ligar o monitor de performance e pausar os efeitos.
+ * Segue o padrão ARIA de combobox com listbox. Outros módulos podem adicionar comandos:
+ *   app.get('palette').register({ id: 'meu-comando', title: 'Fazer algo', run: () => ... });
+ */
+class CommandPalette {
+  /**
+   * @param {PortfolioApp} app - A aplicação (para pausar/retomar e ligar módulos).
+   */
+  constructor(app) {
+    /** @private @type {PortfolioApp} */
+    this.app = app;
+    /** @private @type {Map<string, PaletteCommand>} */
+    this.commands = new Map();
+    /** @private @type {PaletteCommand[]} */
+    this.results = [];
+    /** @private @type {number} */
+    this.activeIndex = 0;
+    /** @private @type {HTMLElement | null} */
+    this.root = null;
+    /** @private @type {HTMLInputElement | null} */
+    this.input = null;
+    /** @private @type {HTMLElement | null} */
+    this.list = null;
+    /** @private @type {HTMLElement | null} */
+    this.empty = null;
+    /** @private @type {HTMLElement | null} */
+    this.toggle = null;
+    /** @private @type {HTMLElement | null} */
+    this.toast = null;
+    /** @private @type {number | null} */
+    this.toastTimeout = null;
+    /** @private @type {HTMLElement | null} */
+    this.opener = null;
+    /** @type {boolean} */
+    this.isOpen = false;
+    /** @type {boolean} */
+    this.isActive = false;
+    
+    /** @private */
+    this.shortcutHandler = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        if (this.isOpen) this.close(); else this.open();
+      }
+    };
+  }
+  
+  /**
+   * Cria a paleta, o botão na navegação e os comandos padrão.
+   */
+  init() {
+    this.createPalette();
+    this.createToggle();
+    this.registerDefaultCommands();
+    document.addEventListener('keydown', this.shortcutHandler);
+    this.isActive = true;
+  }
+  
+  /**
+   * Registra (ou substitui) um comando.
+   * @param {PaletteCommand} command - O comando.
+   * @returns {Function} Uma função que remove o comando.
+   */
+  register(command) {
+    this.commands.set(command.id, { keywords: [], ...command });
+    if (this.isOpen) this.search();
+    return () => this.unregister(command.id);
+  }
+  
+  /**
+   * Remove um comando.
+   * @param {string} id - O id do comando.
+   */
+  unregister(id) {
+    this.commands.delete(id);
+    if (this.isOpen) this.search();
+  }
+  
+  /**
+   * @private
+   * Cria o diálogo (inicialmente oculto) e a região que anuncia o resultado dos comandos.
+   */
+  createPalette() {
+    this.root = DOM.create('div', { className: 'command-palette', hidden: '' });
+    this.root.innerHTML = `
+      <div class="command-palette-backdrop"></div>
+      <div class="command-palette-dialog" role="dialog" aria-modal="true"
+        aria-label="${I18N.t('palette.title')}" data-i18n-attr="aria-label:palette.title">
+        <div class="command-palette-search">
+          <i class="fa-solid fa-magnifying-glass" aria-hidden="true"></i>
+          <input type="text" class="command-palette-input" role="combobox"
+            aria-expanded="true" aria-controls="command-palette-list" aria-autocomplete="list"
+            autocomplete="off" spellcheck="false"
+            aria-label="${I18N.t('palette.title')}" placeholder="${I18N.t('palette.placeholder')}"
+            data-i18n-attr="aria-label:palette.title,placeholder:palette.placeholder">
+        </div>
+        <ul class="command-palette-list" id="command-palette-list" role="listbox"
+          aria-label="${I18N.t('palette.results')}" data-i18n-attr="aria-label:palette.results"></ul>
+        <p class="command-palette-empty" data-i18n="palette.empty" hidden>${I18N.t('palette.empty')}</p>
+        <p class="command-palette-hint" data-i18n="palette.hint" aria-hidden="true">${I18N.t('palette.hint')}</p>
+      </div>
+    `;
+    
+    this.input = DOM.select('.command-palette-input', this.root);
+    this.list = DOM.select('.command-palette-list', this.root);
+    this.empty = DOM.select('.command-palette-empty', this.root);
+    this.toast = DOM.create('p', { className: 'command-toast', role: 'status', 'aria-live': 'polite' });
+    
+    this.input.addEventListener('input', () => this.search());
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    DOM.select('.command-palette-backdrop', this.root).addEventListener('click', () => this.close());
+    
+    this.list.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.run(Number(option.dataset.index));
+    });
+    this.list.addEventListener('mousemove', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.setActive(Number(option.dataset.index));
+    });
+    
+    document.body.append(this.root, this.toast);
+  }
+  
+  /**
+   * @private
+   * Cria o botão da navegação que abre a paleta (para quem não usa o atalho).
+   */
+  createToggle() {
+    const nav = DOM.select(SELECTORS.NAV_ACTIONS);
+    if (!nav) return;
+    
+    this.toggle = DOM.create('button', {
+      type: 'button',
+      className: 'palette-toggle',
+      'aria-label': I18N.t('palette.open'),
+      title: I18N.t('palette.open'),
+      'data-i18n-attr': 'aria-label:palette.open,title:palette.open',
+      'aria-haspopup': 'dialog',
+      onClick: () => this.open()
+    });
+    this.toggle.innerHTML = '<i class="fa-solid fa-magnifying-glass" aria-hidden="true"></i><kbd>⌘K</kbd>';
+    nav.appendChild(this.toggle);
+  }
+  
+  /**
+   * @private
+   * Registra os comandos padrão: seções, redes sociais, e-mail, debug e pausa dos efeitos.
+   */
+  registerDefaultCommands() {
+    DOM.selectAll(SELECTORS.SECTIONS).forEach(section => {
+      const heading = DOM.select('h2', section);
+      
+      this.register({
+        id: `section:${section.id}`,
+        title: () => I18N.t('palette.goTo', { section: heading ? heading.textContent.trim() : section.id }),
+        keywords: [section.id],
+        icon: 'fa-solid fa-arrow-right',
+        run: () => {
+          const scroller = this.app.get('smoothScroll');
+          if (scroller) scroller.scrollToElement(section);
+          else section.scrollIntoView();
+        }
+      });
+    });
+    
+    DOM.selectAll(SELECTORS.SOCIAL_LINKS).forEach(link => {
+      const name = link.getAttribute('aria-label') || link.textContent.trim();
+      const icon = DOM.select('i', link);
+      
+      this.register({
+        id: `social:${name.toLowerCase()}`,
+        title: () => I18N.t('palette.openLink', { name }),
+        keywords: [link.hostname || link.href],
+        icon: icon ? icon.className : undefined,
+        run: () => link.click()
+      });
+    });
+    
+    const mailto = DOM.select(`${SELECTORS.SOCIAL_LINKS}[href^="mailto:"]`);
+    if (mailto) {
+      const email = mailto.getAttribute('href').replace(/^mailto:/, '');
+      
+      this.register({
+        id: 'copy-email',
+        title: () => I18N.t('palette.copyEmail'),
+        keywords: [email, 'email', 'contato', 'contact'],
+        icon: 'fa-solid fa-copy',
+        run: () => this.copy(email)
+      });
+    }
+    
+    this.register({
+      id: 'debug',
+      title: () => I18N.t(this.app.get('monitor') ? 'palette.debugOff' : 'palette.debugOn'),
+      keywords: ['debug', 'fps', 'performance'],
+      icon: 'fa-solid fa-gauge-high',
+      run: () => this.app.toggleModule('monitor')
+    });
+    
+    this.register({
+      id: 'download-cv',
+      title: () => I18N.t('resume.download'),
+      keywords: ['cv', 'resume', 'currículo', 'pdf', 'print', 'imprimir'],
+      icon: 'fa-solid fa-file-arrow-down',
+      when: () => Boolean(this.app.get('resume')),
+      run: () => this.app.get('resume').print()
+    });
+    
+    this.register({
+      id: 'export-json',
+      title: () => I18N.t('export.json'),
+      keywords: ['json', 'resume', 'jsonresume', 'download'],
+      icon: 'fa-solid fa-file-code',
+      when: () => Boolean(this.app.get('profileExport')),
+      run: () => this.app.get('profileExport').downloadJson()
+    });
+    
+    this.register({
+      id: 'export-vcard',
+      title: () => I18N.t('export.vcard'),
+      keywords: ['vcard', 'vcf', 'contato', 'contact', 'download'],
+      icon: 'fa-solid fa-address-card',
+      when: () => Boolean(this.app.get('profileExport')),
+      run: () => this.app.get('profileExport').downloadVCard()
+    });
+    
+    this.register({
+      id: 'pause',
+      title: () => I18N.t(this.app.pausedByUser ? 'palette.resume' : 'palette.pause'),
+      keywords: ['pause', 'resume', 'animações', 'animations', 'efeitos', 'effects'],
+      icon: 'fa-solid fa-circle-pause',
+      run: () => this.app.togglePause()
+    });
+  }
+  
+  /**
+   * @private
+   * Copia o e-mail para a área de transferência e anuncia o resultado.
+   * @param {string} email - O endereço.
+   */
+  async copy(email) {
+    try {
+      await navigator.clipboard.writeText(email);
+      this.notify(I18N.t('palette.copied', { email }));
+    } catch (error) {
+      this.notify(I18N.t('palette.copyFailed', { email }));
+    }
+  }
+  
+  /**
+   * @private
+   * Exibe (e anuncia) uma mensagem curta após um comando.
+   * @param {string} message - A mensagem.
+   */
+  notify(message) {
+    this.toast.textContent = message;
+    this.toast.classList.add('visible');
+    
+    clearTimeout(this.toastTimeout);
+    this.toastTimeout = setTimeout(() => {
+      this.toast.classList.remove('visible');
+      this.toast.textContent = '';
+    }, 3000);
+  }
+  
+  /**
+   * Abre a paleta com a busca vazia.
+   */
+  open() {
+    if (this.isOpen || !this.root) return;
+    
+    this.isOpen = true;
+    this.opener = document.activeElement;
+    this.root.hidden = false;
+    this.input.value = '';
+    this.search();
+    this.input.focus();
+  }
+  
+  /**
+   * Fecha a paleta e devolve o foco ao elemento que a abriu.
+   */
+  close() {
+    if (!this.isOpen) return;
+    
+    this.isOpen = false;
+    this.root.hidden = true;
+    
+    if (this.opener && typeof this.opener.focus === 'function') {
+      this.opener.focus();
+    }
+    this.opener = null;
+  }
+  
+  /**
+   * @private
+   * Filtra e ordena os comandos disponíveis pela busca atual.
+   */
+  search() {
+    const query = this.input.value;
+    
+    this.results = Array.from(this.commands.values())
+      .filter(command => !command.when || command.when())
+      .map(command => {
+        const title = typeof command.title === 'function' ? command.title() : command.title;
+        const score = Math.max(
+          CommandPalette.fuzzyScore(query, title),
+          ...command.keywords.map(keyword => CommandPalette.fuzzyScore(query, keyword) - 1)
+        );
+        return { command, title, score };
+      })
+      .filter(result => result.score >= 0)
+      .sort((a, b) => b.score - a.score)
+      .map(({ command, title }) => ({ ...command, title }));
+    
+    this.renderResults();
+    this.setActive(0);
+  }
+  
+  /**
+   * Pontua o quanto um texto corresponde a uma busca aproximada: todos os caracteres
+   * da busca precisam aparecer no texto, na ordem (ignorando maiúsculas e acentos).
+   * Sequências contínuas e inícios de palavra valem mais.
+   * @param {string} query - A busca (ex: 'expr' para "Ir para: Experiência").
+   * @param {string} text - O texto.
+   * @returns {number} A pontuação, ou -1 se não corresponder.
+   */
+  static fuzzyScore(query, text) {
+    const normalize = (value) => value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const needle = normalize(query).replace(/\s+/g, '');
+    const haystack = normalize(text);
+    
+    if (!needle) return 0;
+    
+    let score = 0;
+    let position = -1;
+    
+    for (const char of needle) {
+      const index = haystack.indexOf(char, position + 1);
+      if (index === -1) return -1;
+      
+      if (index === position + 1) score += 3;
+      if (index === 0 || /[\s:\-_/.]/.test(haystack[index - 1])) score += 2;
+      score += 1;
+      position = index;
+    }
+    
+    return score;
+  }
+  
+  /**
+   * @private
+   * Renderiza as opções do listbox.
+   */
+  renderResults() {
+    const options = this.results.map((command, index) => {
+      const option = DOM.create('li', {
+        id: `command-option-${index}`,
+        className: 'command-palette-option',
+        role: 'option',
+        'aria-selected': 'false',
+        'data-index': index
+      });
+      
+      if (command.icon) {
+        option.appendChild(DOM.create('i', { className: command.icon, 'aria-hidden': 'true' }));
+      }
+      option.appendChild(DOM.create('span', { textContent: command.title }));
+      return option;
+    });
+    
+    this.list.replaceChildren(...options);
+    this.empty.hidden = options.length > 0;
+  }
+  
+  /**
+   * @private
+   * Destaca uma opção (aria-activedescendant: o foco continua no campo de busca).
+   * @param {number} index - O índice da opção.
+   */
+  setActive(index) {
+    const options = DOM.selectAll('[role="option"]', this.list);
+    
+    if (!options.length) {
+      this.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    
+    this.activeIndex = (index + options.length) % options.length;
+    options.forEach((option, i) => option.setAttribute('aria-selected', String(i === this.activeIndex)));
+    
+    const active = options[this.activeIndex];
+    this.input.setAttribute('aria-activedescendant', active.id);
+    if (typeof active.scrollIntoView === 'function') {
+      active.scrollIntoView({ block: 'nearest' });
+    }
+  }
+  
+  /**
+   * @private
+   * Teclado no campo de busca: setas navegam, Enter executa, Esc fecha e o Tab fica preso.
+   * @param {KeyboardEvent} e - O evento de teclado.
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'Enter':
+        e.preventDefault();
+        this.run(this.activeIndex);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        this.close();
+        break;
+      case 'Tab':
+        e.preventDefault();
+        break;
+    }
+  }
+  
+  /**
+   * @private
+   * Fecha a paleta e executa o comando escolhido.
+   * @param {number} index - O índice do comando nos resultados.
+   */
+  run(index) {
+    const command = this.results[index];
+    if (!command) return;
+    
+    this.close();
+    
+    try {
+      command.run();
+    } catch (error) {
+      console.error(`Erro ao executar o comando "${command.id}":`, error);
+    }
+  }
+  
+  /**
+   * Remove a paleta, o botão e o atalho de teclado.
+   */
+  destroy() {
+    document.removeEventListener('keydown', this.shortcutHandler);
+    clearTimeout(this.toastTimeout);
+    
+    if (this.root) this.root.remove();
+    if (this.toast) this.toast.remove();
+    if (this.toggle) this.toggle.remove();
+    
+    this.commands.clear();
+    this.isOpen = false;
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: GOVERNADOR DE QUALIDADE
+// ============================================
+/**
+ * Níveis de qualidade, do mais completo ao mais leve. Cada nível inclui as reduções dos anteriores.
+ * @const {string[]}
+ */
+const QUALITY_LEVELS = ['full', 'fewer-particles', 'no-cursor-easing', 'no-particles'];
+
+/**
+ * @class QualityGovernor
+ * Mede continuamente o FPS e, quando ele fica baixo por alguns segundos, reduz os efeitos
+ * um nível por vez (menos partículas → cursor sem rastro → sem partículas). Quando o
+ * desempenho se recupera por mais tempo, volta um nível. Toda mudança é registrada no console.
+ */
+class QualityGovernor {
+  /**
+   * @param {PortfolioApp} app - A aplicação (para ajustar os módulos de efeitos).
+   * @param {object} [options] - Sobrescreve CONFIG.QUALITY nesta instância (ex: lowFps, particleScale).
+   */
+  constructor(app, options = {}) {
+    /** @private @type {PortfolioApp} */
+    this.app = app;
+    /** @type {object} */
+    this.options = Options.merge(CONFIG.QUALITY, options);
+    /** @type {number} O índice do nível atual em QUALITY_LEVELS. */
+    this.level = 0;
+    /** @type {number} O último FPS medido. */
+    this.fps = 0;
+    /** @private @type {number} */
+    this.frames = 0;
+    /** @private @type {number} */
+    this.windowStart = 0;
+    /** @private @type {number} Segundos seguidos abaixo de options.lowFps. */
+    this.lowStreak = 0;
+    /** @private @type {number} Segundos seguidos acima de options.highFps. */
+    this.highStreak = 0;
+    /** @private @type {boolean} Se as partículas foram desligadas pelo governador. */
+    this.disabledParticles = false;
+    /** @private @type {number | null} */
+    this.animationId = null;
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Inicia a medição.
+   */
+  init() {
+    this.resume();
+  }
+  
+  /**
+   * @private
+   * Conta os quadros e avalia o FPS a cada segundo.
+   * @param {number} time - O timestamp do quadro.
+   */
+  sample(time) {
+    this.frames++;
+    const elapsed = time - this.windowStart;
+    
+    if (elapsed >= 1000) {
+      // Intervalos muito longos (aba em segundo plano, depurador) não são representativos
+      if (elapsed < 2000) {
+        this.fps = Math.round((this.frames * 1000) / elapsed);
+        this.evaluate();
+      }
+      this.frames = 0;
+      this.windowStart = time;
+    }
+    
+    this.animationId = requestAnimationFrame((t) => this.sample(t));
+  }
+  
+  /**
+   * @private
+   * Decide se o nível deve mudar a partir do FPS do último segundo.
+   */
+  evaluate() {
+    const { lowFps, highFps, downgradeAfter, upgradeAfter } = this.options;
+    
+    this.lowStreak = this.fps < lowFps ? this.lowStreak + 1 : 0;
+    this.highStreak = this.fps >= highFps ? this.highStreak + 1 : 0;
+    
+    if (this.lowStreak >= downgradeAfter && this.level < QUALITY_LEVELS.length - 1) {
+      this.setLevel(this.level + 1);
+    } else if (this.highStreak >= upgradeAfter && this.level > 0) {
+      this.setLevel(this.level - 1);
+    }
+  }
+  
+  /**
+   * Muda o nível de qualidade e aplica as reduções correspondentes.
+   * @param {number} level - O índice em QUALITY_LEVELS.
+   */
+  setLevel(level) {
+    const previous = this.level;
+    this.level = MathUtils.clamp(level, 0, QUALITY_LEVELS.length - 1);
+    this.lowStreak = 0;
+    this.highStreak = 0;
+    
+    if (this.level === previous) return;
+    
+    this.apply();
+    console.info(`⚙️ Qualidade: ${QUALITY_LEVELS[previous]} → ${QUALITY_LEVELS[this.level]} (${this.fps} FPS)`);
+  }
+  
+  /**
+   * Ajusta os módulos de efeitos ao nível atual (ex: depois de um módulo ser recriado).
+   */
+  apply() {
+    const particlesOff = this.level >= QUALITY_LEVELS.indexOf('no-particles');
+    
+    if (particlesOff && this.app.get('particles')) {
+      this.app.toggleModule('particles', false);
+      this.disabledParticles = true;
+    } else if (!particlesOff && this.disabledParticles) {
+      this.app.toggleModule('particles', true);
+      this.disabledParticles = false;
+    }
+    
+    const particles = this.app.get('particles');
+    if (particles && typeof particles.setCountScale === 'function') {
+      const fewer = this.level >= QUALITY_LEVELS.indexOf('fewer-particles');
+      particles.setCountScale(fewer ? this.options.particleScale : 1);
+    }
+    
+    const cursor = this.app.get('cursor');
+    if (cursor && typeof cursor.setEasing === 'function') {
+      cursor.setEasing(this.level < QUALITY_LEVELS.indexOf('no-cursor-easing'));
+    }
+  }
+  
+  /**
+   * Para a medição (ex: aba em segundo plano).
+   */
+  pause() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId);
+      this.animationId = null;
+    }
+    this.isActive = false;
+  }
+  
+  /**
+   * Retoma a medição do zero.
+   */
+  resume() {
+    if (this.animationId) return;
+    
+    this.frames = 0;
+    this.windowStart = performance.now();
+    this.lowStreak = 0;
+    this.highStreak = 0;
+    this.animationId = requestAnimationFrame((t) => this.sample(t));
+    this.isActive = true;
+  }
+  
+  /**
+   * Para a medição (os efeitos ficam no nível atual).
+   */
+  destroy() {
+    this.pause();
+  }
+}
+
+// ============================================
+// CLASSE: MONITOR DE PERFORMANCE (DEBUG)
+// ============================================
+/**
+ * Métodos que os módulos executam a cada quadro (ou tick de animação). O monitor mede o
+ * tempo gasto neles para estimar o custo por quadro de cada módulo.
+ * @const {string[]}
+ */
+const FRAME_METHODS = ['animate', 'update', 'draw', 'sample', 'type'];
+
+/**
+ * Módulos que o monitor instrumenta (os que rodam a cada quadro). Nos demais, métodos com
+ * os mesmos nomes (ex: o update() do SEO) não são por quadro e distorceriam a medição.
+ * @const {string[]}
+ */
+const FRAME_MODULES = ['particles', 'cursor', 'typing'];
+
+/**
+ * @class PerformanceMonitor
+ * Exibe um monitor de performance (ativado com #debug na URL): FPS, Web Vitals (LCP, CLS,
+ * INP), tarefas longas, heap de JS, tempo de inicialização e custo por quadro de cada
+ * módulo do PortfolioApp, com sparklines do histórico. A sessão pode ser exportada em JSON.
+ */
+class PerformanceMonitor {
+  /**
+   * @param {PortfolioApp | null} [app=null] - A aplicação (para medir os módulos).
+   */
+  constructor(app = null) {
+    /** @private @type {PortfolioApp | null} */
+    this.app = app;
+    /** @private @type {HTMLElement | null} */
+    this.monitor = null;
+    /** @private @type {HTMLElement | null} */
+    this.stats = null;
+    /** @private @type {number} */
+    this.fps = 0;
+    /** @private @type {number} */
+    this.lastTime = performance.now();
+    /** @private @type {number} */
+    this.frames = 0;
+    /** @private @type {number} */
+    this.startedAt = Date.now();
+    /** @private @type {{lcp: number | null, cls: number, inp: number | null}} */
+    this.vitals = { lcp: null, cls: 0, inp: null };
+    /** @private @type {{start: number, duration: number}[]} */
+    this.longTasks = [];
+    /** @private @type {Map<number, number>} Maior duração de cada interação (interactionId → ms). */
+    this.interactions = new Map();
+    /** @private @type {{value: number, first: number, last: number}} Janela de sessão atual do CLS. */
+    this.shiftWindow = { value: 0, first: 0, last: 0 };
+    /** @private @type {PerformanceObserver[]} */
+    this.observers = [];
+    /** @private @type {Object<string, number[]>} Séries (1 amostra por segundo) para os sparklines. */
+    this.history = { fps: [], heap: [], longTasks: [] };
+    /** @private @type {Object<string, number>} Tempo gasto em FRAME_METHODS por módulo no segundo atual. */
+    this.frameCost = {};
+    /** @private @type {Object<string, number[]>} Histórico do custo médio por quadro (ms) por módulo. */
+    this.moduleHistory = {};
+    /** @private @type {Map<object, Object<string, Function>>} Módulos instrumentados → métodos originais. */
+    this.instrumented = new Map();
+    /** @private @type {number} Tarefas longas no segundo atual. */
+    this.longTasksInWindow = 0;
+    /** @private @type {number | null} */
+    this.animationId = null;
+    /** @private @type {boolean} Se o loop está pausado (ex: aba oculta ou impressão). */
+    this.isPaused = false;
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Inicializa e cria o monitor.
+   */
+  init() {
+    this.createMonitor();
+    this.observeVitals();
+    this.isActive = true;
+    this.startMonitoring();
+  }
+  
+  /**
+   * @private
+   * Cria o elemento DOM para o monitor.
+   */
+  createMonitor() {
+    this.monitor = DOM.create('div', {
+      className: 'performance-monitor',
+      style: {
+        position: 'fixed',
+        bottom: '20px',
+        right: '20px',
+        background: ThemeTokens.alpha('bg-dark', 0.9),
+        color: 'var(--primary-color)',
+        padding: '15px',
+        borderRadius: '10px',
+        fontFamily: "'JetBrains Mono', monospace",
+        fontSize: '0.9em',
+        zIndex: '9999',
+        border: '1px solid var(--primary-color)',
+        minWidth: '200px',
+        maxHeight: '80vh',
+        overflowY: 'auto'
+      }
+    });
+    
+    this.stats = DOM.create('div');
+    const exportButton = DOM.create('button', {
+      type: 'button',
+      textContent: '⬇ Exportar sessão (JSON)',
+      style: {
+        marginTop: '10px',
+        width: '100%',
+        padding: '6px',
+        background: 'transparent',
+        color: 'inherit',
+        border: '1px solid currentColor',
+        borderRadius: '6px',
+        font: 'inherit',
+        cursor: 'pointer'
+      },
+      onClick: () => this.exportReport()
+    });
+    
+    this.monitor.append(this.stats, exportButton);
+    document.body.appendChild(this.monitor);
+  }
+  
+  /**
+   * @private
+   * Observa LCP, CLS, INP e tarefas longas (cada tipo só se o navegador suportar).
+   */
+  observeVitals() {
+    if (typeof PerformanceObserver === 'undefined') return;
+    
+    const supported = PerformanceObserver.supportedEntryTypes || [];
+    const observe = (type, callback, options = {}) => {
+      if (!supported.includes(type)) return;
+      
+      try {
+        const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+        observer.observe({ type, buffered: true, ...options });
+        this.observers.push(observer);
+      } catch (error) {
+        console.warn(`PerformanceObserver "${type}" indisponível:`, error);
+      }
+    };
+    
+    observe('largest-contentful-paint', entry => {
+      this.vitals.lcp = entry.startTime;
+    });
+    
+    // CLS: maior soma de deslocamentos em uma janela de sessão (intervalos < 1s, janela < 5s)
+    observe('layout-shift', entry => {
+      if (entry.hadRecentInput) return;
+      
+      const current = this.shiftWindow;
+      if (current.value && entry.startTime - current.last < 1000 && entry.startTime - current.first < 5000) {
+        current.value += entry.value;
+        current.last = entry.startTime;
+      } else {
+        this.shiftWindow = { value: entry.value, first: entry.startTime, last: entry.startTime };
+      }
+      this.vitals.cls = Math.max(this.vitals.cls, this.shiftWindow.value);
+    });
+    
+    // INP: a interação mais lenta, ignorando 1 a cada 50 (aproximação do percentil 98)
+    observe('event', entry => {
+      if (!entry.interactionId) return;
+      
+      this.interactions.set(entry.interactionId,
+        Math.max(this.interactions.get(entry.interactionId) || 0, entry.duration));
+      
+      const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+      this.vitals.inp = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+    }, { durationThreshold: 16 });
+    
+    observe('longtask', entry => {
+      this.longTasks.push({ start: Math.round(entry.startTime), duration: Math.round(entry.duration) });
+      this.longTasksInWindow++;
+    });
+  }
+  
+  /**
+   * @private
+   * Envolve os FRAME_METHODS de cada FRAME_MODULES (ainda não instrumentado) para medir seu custo.
+   */
+  instrumentModules() {
+    if (!this.app) return;
+    
+    FRAME_MODULES.forEach(name => {
+      const module = this.app.modules[name];
+      if (!module || this.instrumented.has(module)) return;
+      
+      const originals = {};
+      FRAME_METHODS.filter(method => typeof module[method] === 'function').forEach(method => {
+        const original = module[method];
+        originals[method] = original;
+        
+        module[method] = (...args) => {
+          const start = performance.now();
+          try {
+            return original.apply(module, args);
+          } finally {
+            this.frameCost[name] = (this.frameCost[name] || 0) + performance.now() - start;
+          }
+        };
+      });
+      
+      this.instrumented.set(module, originals);
+    });
+  }
+  
+  /**
+   * @private
+   * Inicia o loop (requestAnimationFrame) para calcular o FPS e fechar as amostras a cada segundo.
+   */
+  startMonitoring() {
+    const update = () => {
+      this.frames++;
+      const currentTime = performance.now();
+      
+      if (currentTime >= this.lastTime + 1000) {
+        this.fps = Math.round((this.frames * 1000) / (currentTime - this.lastTime));
+        this.recordSample(this.frames);
+        this.frames = 0;
+        this.lastTime = currentTime;
+        this.updateDisplay();
+      }
+      
+      if (this.isActive && !this.isPaused) {
+        this.animationId = requestAnimationFrame(update);
+      }
+    };
+    
+    this.instrumentModules();
+    update();
+  }
+  
+  /**
+   * Pausa o loop de FPS (o painel e os observers de Web Vitals continuam).
+   */
+  pause() {
+    this.isPaused = true;
+    cancelAnimationFrame(this.animationId);
+    this.animationId = null;
+  }
+  
+  /**
+   * Retoma o loop, começando uma nova amostra (o tempo pausado não conta como quadros lentos).
+   */
+  resume() {
+    if (!this.isActive || !this.isPaused) return;
+    
+    this.isPaused = false;
+    this.frames = 0;
+    this.lastTime = performance.now();
+    this.startMonitoring();
+  }
+  
+  /**
+   * @private
+   * Guarda as amostras do último segundo no histórico.
+   * @param {number} frames - Os quadros desenhados no último segundo.
+   */
+  recordSample(frames) {
+    const push = (series, value) => {
+      series.push(value);
+      if (series.length > CONFIG.DEBUG.HISTORY_LENGTH) series.shift();
+    };
+    
+    push(this.history.fps, this.fps);
+    push(this.history.longTasks, this.longTasksInWindow);
+    this.longTasksInWindow = 0;
+    
+    if (performance.memory) {
+      push(this.history.heap, performance.memory.usedJSHeapSize / 1048576);
+    }
+    
+    if (this.app) {
+      FRAME_MODULES.filter(name => this.app.modules[name]).forEach(name => {
+        this.moduleHistory[name] = this.moduleHistory[name] || [];
+        push(this.moduleHistory[name], (this.frameCost[name] || 0) / Math.max(frames, 1));
+      });
+    }
+    
+    this.frameCost = {};
+    this.instrumentModules();
+  }
+  
+  /**
+   * @private
+   * Gera um sparkline (SVG) de uma série de valores.
+   * @param {number[]} values - A série.
+   * @param {number} [width=80] - Largura em px.
+   * @param {number} [height=16] - Altura em px.
+   * @returns {string} O markup SVG.
+   */
+  sparkline(values, width = 80, height = 16) {
+    if (values.length < 2) return '';
+    
+    const max = Math.max(...values) || 1;
+    const step = width / (CONFIG.DEBUG.HISTORY_LENGTH - 1);
+    const offset = width - step * (values.length - 1);
+    const points = values
+      .map((value, i) => `${(offset + i * step).toFixed(1)},${(height - (value / max) * height).toFixed(1)}`)
+      .join(' ');
+    
+    return `<svg width="${width}" height="${height}" style="vertical-align: middle;" aria-hidden="true">
+      <polyline points="${points}" fill="none" stroke="currentColor" stroke-width="1"/></svg>`;
+  }
+  
+  /**
+   * @private
+   * Formata um valor em ms (ou '–' se ainda não medido).
+   * @param {number | null} value - O valor.
+   * @param {number} [digits=0] - Casas decimais.
+   * @returns {string}
+   */
+  formatMs(value, digits = 0) {
+    return value === null || value === undefined ? '–' : `${value.toFixed(digits)}ms`;
+  }
+  
+  /**
+   * @private
+   * Atualiza o HTML do monitor com os dados mais recentes.
+   */
+  updateDisplay() {
+    if (!this.stats) return;
+    
+    const row = (label, value, series = []) => `
+      <div style="margin-bottom: 5px; display: flex; justify-content: space-between; gap: 10px;">
+        <span><strong>${label}:</strong> ${value}</span>${this.sparkline(series)}
+      </div>`;
+    const heap = this.history.heap[this.history.heap.length - 1];
+    const longTaskTotal = this.longTasks.reduce((sum, task) => sum + task.duration, 0);
+    
+    const modules = this.app ? Object.keys(this.app.modules).map(name => {
+      const series = this.moduleHistory[name] || [];
+      const init = this.formatMs(this.app.timings[name], 1);
+      if (!series.length) return row(name, init);
+      return row(name, `${init} / ${series[series.length - 1].toFixed(2)}ms`, series);
+    }).join('') : '';
+    
+    this.stats.innerHTML = `
+      ${row('FPS', this.fps, this.history.fps)}
+      <div style="margin-bottom: 5px;"><strong>Resolução:</strong> ${window.innerWidth}x${window.innerHeight}</div>
+      <div style="margin-bottom: 5px;"><strong>Scroll:</strong> ${Math.round(window.scrollY)}px</div>
+      ${row('LCP', this.formatMs(this.vitals.lcp))}
+      ${row('CLS', this.vitals.cls.toFixed(3))}
+      ${row('INP', this.formatMs(this.vitals.inp))}
+      ${row('Tarefas longas', `${this.longTasks.length} (${longTaskTotal}ms)`, this.history.longTasks)}
+      ${heap === undefined ? '' : row('Heap JS', `${heap.toFixed(1)}MB`, this.history.heap)}
+      ${modules ? `<div style="margin: 10px 0 5px; opacity: 0.7;">Módulos (init / custo por quadro)</div>${modules}` : ''}
+    `;
+  }
+  
+  /**
+   * Monta o relatório da sessão (tudo o que o monitor coletou até agora).
+   * @returns {object}
+   */
+  getReport() {
+    const average = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+    const modules = {};
+    
+    if (this.app) {
+      Object.keys({ ...this.app.timings, ...this.moduleHistory }).forEach(name => {
+        const series = this.moduleHistory[name] || [];
+        modules[name] = {
+          initMs: this.app.timings[name] ?? null,
+          averageFrameMs: average(series),
+          frameMsHistory: series
+        };
+      });
+    }
+    
+    return {
+      generatedAt: new Date().toISOString(),
+      sessionSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+      url: window.location.href,
+      userAgent: navigator.userAgent,
+      viewport: { width: window.innerWidth, height: window.innerHeight, dpr: window.devicePixelRatio || 1 },
+      vitals: { ...this.vitals },
+      longTasks: this.longTasks,
+      fps: { average: average(this.history.fps), history: this.history.fps },
+      heapMB: this.history.heap.length ? { average: average(this.history.heap), history: this.history.heap } : null,
+      quality: this.app && this.app.get('quality') ? QUALITY_LEVELS[this.app.get('quality').level] : null,
+      modules
+    };
+  }
+  
+  /**
+   * @private
+   * Baixa o relatório da sessão em JSON.
+   */
+  exportReport() {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    DOM.download(`performance-${stamp}.json`, JSON.stringify(this.getReport(), null, 2));
+  }
+  
+  /**
+   * Para o monitor, desfaz a instrumentação e o remove do DOM.
+   */
+  destroy() {
+    this.isActive = false;
+    cancelAnimationFrame(this.animationId);
+    this.animationId = null;
+    this.observers.forEach(observer => observer.disconnect());
+    this.observers = [];
+    
+    // Remove os wrappers: os métodos voltam a vir do protótipo
+    this.instrumented.forEach((originals, module) => {
+      Object.keys(originals).forEach(method => delete module[method]);
+    });
+    this.instrumented.clear();
+    
+    if (this.monitor) {
+      this.monitor.remove();
+    }
+  }
+}
+
+// ============================================
+// CLASSE: PAINEL DE CONFIGURAÇÃO (DEBUG)
+// ============================================
+/**
+ * Seções do CONFIG ajustáveis no painel de debug.
+ * @const {string[]}
+ */
+const CONFIG_PANEL_SECTIONS = ['ANIMATIONS', 'PARTICLES', 'CURSOR'];
+
+/**
+ * Módulos recriados quando uma chave muda ('SEÇÃO.*' vale para a seção inteira). As demais
+ * chaves são lidas a cada quadro ou tick (ex: CURSOR.FOLLOW_SPEED) e já valem na hora.
+ * @const {Object<string, string>}
+ */
+const CONFIG_PANEL_RESTARTS = {
+  'ANIMATIONS.REVEAL_THRESHOLD': 'animations',
+  'ANIMATIONS.TYPING_CARET': 'typing',
+  'PARTICLES.*': 'particles',
+  'CURSOR.SIZE': 'cursor',
+  'CURSOR.DOT_SIZE': 'cursor'
+};
+
+/**
+ * Opções das chaves de texto (exibidas como select).
+ * @const {Object<string, string[]>}
+ */
+const CONFIG_PANEL_CHOICES = {
+  'PARTICLES.RENDERER': ['canvas', 'dom'],
+  'PARTICLES.POINTER_MODE': ['repel', 'attract']
+};
+
+/**
+ * @class ConfigPanel
+ * Painel de debug (#debug) que gera controles a partir do CONFIG (sliders para números,
+ * toggles para booleanos, selects para textos) e aplica as mudanças ao vivo. Também liga
+ * e desliga módulos do PortfolioApp, salva presets no localStorage e exporta os valores
+ * como um trecho de JS para colar de volta no CONFIG.
+ */
+class ConfigPanel {
+  /**
+   * @param {PortfolioApp} app - A aplicação (para recriar e ligar/desligar módulos).
+   */
+  constructor(app) {
+    /** @private @type {PortfolioApp} */
+    this.app = app;
+    /** @private @type {HTMLElement | null} */
+    this.panel = null;
+    /** @private @type {HTMLElement | null} */
+    this.moduleList = null;
+    /** @private @type {HTMLSelectElement | null} */
+    this.presetSelect = null;
+    /** @private @type {HTMLTextAreaElement | null} */
+    this.snippet = null;
+    /** @private @type {object} Os valores originais das seções, para restaurar. */
+    this.defaults = this.getValues();
+    /** @private @type {Set<string>} Módulos a recriar na próxima aplicação. */
+    this.pendingRestarts = new Set();
+    /** @private */
+    this.scheduleRestarts = Performance.debounce(() => this.applyRestarts(), 200);
+    /** @type {boolean} */
+    this.isActive = false;
+  }
+  
+  /**
+   * Cria o painel.
+   */
+  init() {
+    this.createPanel();
+    this.isActive = true;
+  }
+  
+  /**
+   * @private
+   * @returns {object} Cópia dos valores atuais das seções ajustáveis.
+   */
+  getValues() {
+    return JSON.parse(JSON.stringify(
+      Object.fromEntries(CONFIG_PANEL_SECTIONS.map(section => [section, CONFIG[section]]))
+    ));
+  }
+  
+  /**
+   * @private
+   * Monta o painel: controles do CONFIG, módulos, presets e exportação.
+   */
+  createPanel() {
+    this.panel = DOM.create('details', { className: 'config-panel' });
+    this.panel.appendChild(DOM.create('summary', { textContent: '⚙ CONFIG' }));
+    
+    const body = DOM.create('div', { className: 'config-panel-body' });
+    CONFIG_PANEL_SECTIONS.forEach(section => body.appendChild(this.createSection(section)));
+    
+    this.moduleList = DOM.create('fieldset', { className: 'config-panel-modules' });
+    body.appendChild(this.moduleList);
+    body.appendChild(this.createPresets());
+    
+    this.snippet = DOM.create('textarea', { className: 'config-panel-snippet', readonly: '', rows: '8', hidden: '' });
+    body.append(
+      this.createActions(),
+      this.snippet
+    );
+    
+    this.panel.appendChild(body);
+    this.panel.addEventListener('toggle', () => {
+      if (this.panel.open) this.renderModules();
+    });
+    document.body.appendChild(this.panel);
+  }
+  
+  /**
+   * @private
+   * Cria os controles de uma seção do CONFIG.
+   * @param {string} section - O nome da seção (ex: 'PARTICLES').
+   * @returns {HTMLElement}
+   */
+  createSection(section) {
+    const fieldset = DOM.create('fieldset');
+    fieldset.appendChild(DOM.create('legend', { textContent: section }));
+    
+    Object.entries(CONFIG[section]).forEach(([key, value]) => {
+      const path = `${section}.${key}`;
+      const label = DOM.create('label', { className: 'config-panel-row' });
+      const name = DOM.create('span', { textContent: key });
+      const input = this.createInput(path, value);
+      if (!input) return;
+      
+      input.dataset.path = path;
+      label.append(name, input);
+      
+      if (input.type === 'range') {
+        const output = DOM.create('output', { textContent: String(value) });
+        input.addEventListener('input', () => { output.textContent = input.value; });
+        label.appendChild(output);
+      }
+      
+      input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+        this.setValue(path, this.readInput(input));
+      });
+      fieldset.appendChild(label);
+    });
+    
+    return fieldset;
+  }
+  
+  /**
+   * @private
+   * Cria o controle adequado ao tipo do valor.
+   * @param {string} path - O caminho da chave (ex: 'CURSOR.SIZE').
+   * @param {*} value - O valor atual.
+   * @returns {HTMLElement | null}
+   */
+  createInput(path, value) {
+    if (typeof value === 'boolean') {
+      const input = DOM.create('input', { type: 'checkbox' });
+      input.checked = value;
+      return input;
+    }
+    
+    if (typeof value === 'number') {
+      const { min, max, step } = ConfigPanel.getRange(value);
+      return DOM.create('input', { type: 'range', min, max, step, value });
+    }
+    
+    if (typeof value === 'string' && CONFIG_PANEL_CHOICES[path]) {
+      const select = DOM.create('select');
+      CONFIG_PANEL_CHOICES[path].forEach(option => {
+        select.appendChild(DOM.create('option', { value: option, textContent: option }));
+      });
+      select.value = value;
+      return select;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Deriva a faixa de um slider a partir do valor padrão: de 0 a 4x o valor, com passo
+   * uma ordem de grandeza abaixo dele (ex: 0.15 → passo 0.01; 2000 → passo 100).
+   * @param {number} value - O valor padrão.
+   * @returns {{min: number, max: number, step: number}}
+   */
+  static getRange(value) {
+    if (!value) return { min: 0, max: 10, step: 1 };
+    
+    const magnitude = Math.floor(Math.log10(Math.abs(value)));
+    const step = Number.isInteger(value)
+      ? 10 ** Math.max(0, magnitude - 1)
+      : 10 ** (magnitude - 1);
+    
+    return {
+      min: Math.min(0, value * 4),
+      max: Math.max(Number.isInteger(value) ? 10 : 0, value * 4),
+      step: Number(step.toPrecision(1))
+    };
+  }
+  
+  /**
+   * @private
+   * Lê o valor de um controle no tipo do CONFIG.
+   * @param {HTMLInputElement | HTMLSelectElement} input - O controle.
+   * @returns {*}
+   */
+  readInput(input) {
+    if (input.type === 'checkbox') return input.checked;
+    if (input.type === 'range') return Number(input.value);
+    return input.value;
+  }
+  
+  /**
+   * Altera uma chave do CONFIG e aplica a mudança (recriando módulos, se preciso).
+   * @param {string} path - O caminho da chave (ex: 'PARTICLES.LINK_DISTANCE').
+   * @param {*} value - O novo valor.
+   */
+  setValue(path, value) {
+    const [section, key] = path.split('.');
+    if (!(key in CONFIG[section])) return;
+    
+    CONFIG[section][key] = value;
+    
+    const restart = CONFIG_PANEL_RESTARTS[path] || CONFIG_PANEL_RESTARTS[`${section}.*`];
+    if (restart) {
+      this.pendingRestarts.add(restart);
+      this.scheduleRestarts();
+    }
+  }
+  
+  /**
+   * @private
+   * Recria os módulos afetados pelas últimas mudanças.
+   */
+  applyRestarts() {
+    this.pendingRestarts.forEach(name => this.app.restartModule(name));
+    this.pendingRestarts.clear();
+    
+    // O módulo recriado volta à qualidade máxima: reaplica o nível do governador
+    const quality = this.app.get('quality');
+    if (quality) quality.apply();
+  }
+  
+  /**
+   * @private
+   * Atualiza os controles com os valores atuais do CONFIG.
+   */
+  syncInputs() {
+    DOM.selectAll('[data-path]', this.panel).forEach(input => {
+      const [section, key] = input.dataset.path.split('.');
+      const value = CONFIG[section][key];
+      
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
+        if (input.type === 'range') input.nextElementSibling.textContent = String(value);
+      }
+    });
+  }
+  
+  /**
+   * @private
+   * Lista os módulos registrados com um toggle para ligar/desligar cada um.
+   */
+  renderModules() {
+    const toggles = Array.from(MODULE_DEFINITIONS.keys())
+      .filter(name => name !== 'configPanel')
+      .map(name => {
+        const input = DOM.create('input', { type: 'checkbox' });
+        input.checked = Boolean(this.app.get(name));
+        input.addEventListener('change', () => {
+          input.checked = this.app.toggleModule(name, input.checked);
+        });
+        
+        const label = DOM.create('label', { className: 'config-panel-row' });
+        label.append(DOM.create('span', { textContent: name }), input);
+        return label;
+      });
+    
+    this.moduleList.replaceChildren(DOM.create('legend', { textContent: 'Módulos' }), ...toggles);
+  }
+  
+  /**
+   * @private
+   * Cria os controles de presets (salvos no localStorage).
+   * @returns {HTMLElement}
+   */
+  createPresets() {
+    const fieldset = DOM.create('fieldset');
+    const name = DOM.create('input', { type: 'text', placeholder: 'Nome do preset', 'aria-label': 'Nome do preset' });
+    this.presetSelect = DOM.create('select', { 'aria-label': 'Presets salvos' });
+    
+    const save = DOM.create('button', {
+      type: 'button',
+      textContent: 'Salvar',
+      onClick: () => {
+        if (!name.value.trim()) return;
+        this.savePreset(name.value.trim());
+        name.value = '';
+      }
+    });
+    const load = DOM.create('button', {
+      type: 'button',
+      textContent: 'Carregar',
+      onClick: () => this.loadPreset(this.presetSelect.value)
+    });
+    const remove = DOM.create('button', {
+      type: 'button',
+      textContent: 'Excluir',
+      onClick: () => this.deletePreset(this.presetSelect.value)
+    });
+    
+    const saveRow = DOM.create('div', { className: 'config-panel-actions' });
+    const loadRow = DOM.create('div', { className: 'config-panel-actions' });
+    saveRow.append(name, save);
+    loadRow.append(this.presetSelect, load, remove);
+    fieldset.append(DOM.create('legend', { textContent: 'Presets' }), saveRow, loadRow);
+    
+    this.renderPresets();
+    return fieldset;
+  }
+  
+  /**
+   * @private
+   * @returns {Object<string, object>} Os presets salvos (nome → valores).
+   */
+  getPresets() {
+    return LocalStore.get(CONFIG.DEBUG.PRESETS_KEY, {});
+  }
+  
+  /**
+   * @private
+   * Atualiza a lista de presets salvos.
+   */
+  renderPresets() {
+    const names = Object.keys(this.getPresets());
+    this.presetSelect.replaceChildren(...names.map(preset => DOM.create('option', { value: preset, textContent: preset })));
+    this.presetSelect.disabled = !names.length;
+  }
+  
+  /**
+   * Salva os valores atuais como um preset.
+   * @param {string} name - O nome do preset.
+   */
+  savePreset(name) {
+    LocalStore.set(CONFIG.DEBUG.PRESETS_KEY, { ...this.getPresets(), [name]: this.getValues() });
+    this.renderPresets();
+    this.presetSelect.value = name;
+  }
+  
+  /**
+   * Aplica um preset salvo (ou os valores padrão, se nenhum nome for informado).
+   * @param {string} [name] - O nome do preset.
+   */
+  loadPreset(name) {
+    const values = name ? this.getPresets()[name] : this.defaults;
+    if (!values) return;
+    
+    Object.entries(values).forEach(([section, entries]) => {
+      if (!CONFIG_PANEL_SECTIONS.includes(section)) return;
+      Object.entries(entries).forEach(([key, value]) => this.setValue(`${section}.${key}`, value));
+    });
+    
+    this.syncInputs();
+  }
+  
+  /**
+   * @private
+   * Remove um preset salvo.
+   * @param {string} name - O nome do preset.
+   */
+  deletePreset(name) {
+    const presets = this.getPresets();
+    delete presets[name];
+    LocalStore.set(CONFIG.DEBUG.PRESETS_KEY, presets);
+    this.renderPresets();
+  }
+  
+  /**
+   * @private
+   * Cria os botões de restaurar os padrões e exportar o snippet.
+   * @returns {HTMLElement}
+   */
+  createActions() {
+    const actions = DOM.create('div', { className: 'config-panel-actions' });
+    
+    actions.append(
+      DOM.create('button', {
+        type: 'button',
+        textContent: 'Restaurar padrão',
+        onClick: () => this.loadPreset()
+      }),
+      DOM.create('button', {
+        type: 'button',
+        textContent: 'Exportar JS',
+        onClick: () => this.exportSnippet()
+      })
+    );
+    
+    return actions;
+  }
+  
+  /**
+   * Gera o trecho de JS com os valores atuais, no formato das seções de CONFIG.
+   * @returns {string}
+   */
+  getSnippet() {
+    return CONFIG_PANEL_SECTIONS.map(section => {
+      const entries = Object.entries(CONFIG[section])
+        .map(([key, value]) => `    ${key}: ${typeof value === 'string' ? `'${value}'` : value}`)
+        .join(',\n');
+      return `  ${section}: {\n${entries}\n  }`;
+    }).join(',\n  \n');
+  }
+  
+  /**
+   * @private
+   * Exibe o snippet para colar no CONFIG e tenta copiá-lo para a área de transferência.
+   */
+  async exportSnippet() {
+    this.snippet.value = this.getSnippet();
+    this.snippet.hidden = false;
+    this.snippet.select();
+    
+    try {
+      await navigator.clipboard.writeText(this.snippet.value);
+    } catch (error) {
+      // Sem permissão: o texto fica selecionado no textarea para copiar manualmente
+    }
+  }
+  
+  /**
+   * Remove o painel (os valores alterados continuam no CONFIG).
+   */
+  destroy() {
+    if (this.panel) this.panel.remove();
+    this.isActive = false;
+  }
+}
+
+// ============================================
+// CLASSE: MÓDULOS DECLARATIVOS (DATA-*)
+// ============================================
+/**
+ * Módulos instanciados a partir de atributos data-* do HTML: o seletor dos elementos, o
+ * prefixo dos atributos lidos como opções (Options.fromDataset), a validação opcional
+ * das opções (devolve o motivo para ignorar o elemento, ou null), a criação da instância
+ * e a inicialização (padrão: instance.init()). Os elementos dos módulos principais
+ * (subtítulo e fundo de partículas) ficam de fora: lá os atributos só ajustam as opções.
+ * @const {Object<string, {selector: string, prefix: string, validate?: function(object): (string | null), factory: function(HTMLElement, object): object, init?: function(object): void}>}
+ */
+const DECLARATIVE_MODULES = {
+  typing: {
+    selector: `[data-typing-words]:not(${SELECTORS.SUBTITLE})`,
+    prefix: 'typing',
+    validate: (options) => DeclarativeModules.toList(options.words).length ? null : 'data-typing-words vazio',
+    factory: (element, options) => new TypingEffect(element, DeclarativeModules.toList(options.words), options),
+    init: (typing) => typing.start()
+  },
+  particles: {
+    selector: `[data-particles-count]:not(${SELECTORS.PARTICLE_CONTAINER})`,
+    prefix: 'particles',
+    factory: (element, options) => CanvasParticleSystem.create(element, options)
+  }
+};
+
+/**
+ * @class DeclarativeModules
+ * Cria as instâncias declaradas no HTML (ver DECLARATIVE_MODULES), sem JS adicional:
+ *   <p data-typing-words="Olá, Hello, Hola" data-typing-speed="80"></p>
+ *   <div data-particles-count="20" data-particles-renderer="dom"></div>
+ * e repassa a elas a pausa, a retomada, o movimento reduzido e a destruição.
  */
-class SmoothScroll {
+class DeclarativeModules {
   constructor() {
+    /** @type {{name: string, element: HTMLElement, instance: object}[]} As instâncias criadas (nome do módulo, elemento e instância). */
+    this.instances = [];
+    /** @private @type {boolean} Se o movimento reduzido está ativo (aplicado também às instâncias criadas depois). */
+    this.reducedMotion = false;
     /** @type {boolean} */
     this.isActive = false;
   }
   
   /**
-   * Inicializa e adiciona os listeners de clique.
+   * Converte o valor de um atributo em lista: arrays JSON ficam como estão, textos são
+   * separados por vírgula (ex: "Olá, Hello" → ['Olá', 'Hello']).
+   * @param {*} value - O valor lido por Options.fromDataset.
+   * @returns {string[]}
    */
-  init() {
-    this.attachListeners();
-    this.isActive = true;
+  static toList(value) {
+    if (Array.isArray(value)) return value.map(String);
+    return String(value).split(',').map(item => item.trim()).filter(Boolean);
   }
   
   /**
    * @private
-   * Adiciona listeners de clique aos links âncora.
+   * Chama um método de uma instância, se ela tiver o método.
+   * @param {object} instance - A instância.
+   * @param {string} method - O nome do método.
    */
-  attachListeners() {
-    const links = DOM.selectAll('a[href^="#"]');
-    
-    links.forEach(anchor => {
-      anchor.addEventListener('click', (e) => {
-        const href = anchor.getAttribute('href');
-        if (!href || href === '#') return;
-        
-        e.preventDefault();
-        const target = DOM.select(href);
-        
-        if (target) {
-          this.scrollToElement(target);
-        }
-      });
-    });
+  static invoke(instance, method) {
+    if (typeof instance[method] === 'function') instance[method]();
   }
   
   /**
-   * Executa o scroll suave para um elemento.
-   * @param {HTMLElement} element - O elemento alvo.
-   * @param {number} [offset=80] - Deslocamento (ex: para altura de um header fixo).
+   * Instancia os módulos declarados na página.
+   */
+  init() {
+    this.scan([document.body]);
+    this.isActive = true;
+  }
+  
+  /**
+   * Instancia os módulos declarados nos nós (e em seus descendentes) que ainda não têm
+   * instância, e destrói as instâncias cujos elementos saíram da página.
+   * @param {HTMLElement[]} nodes - Os nós onde procurar (ex: os recém-renderizados).
+   * @returns {object[]} As instâncias criadas.
    */
-  scrollToElement(element, offset = 80) {
-    const targetPosition = element.offsetTop - offset;
+  scan(nodes) {
+    this.instances
+      .filter(({ element }) => !element.isConnected)
+      .forEach(({ instance }) => DeclarativeModules.invoke(instance, 'destroy'));
+    this.instances = this.instances.filter(({ element }) => element.isConnected);
     
-    window.scrollTo({
-      top: targetPosition,
-      behavior: 'smooth'
+    const created = [];
+    
+    Object.entries(DECLARATIVE_MODULES).forEach(([name, definition]) => {
+      DOM.matchAll(nodes, definition.selector)
+        .filter(element => !this.instances.some(entry => entry.name === name && entry.element === element))
+        .forEach(element => {
+          try {
+            const options = Options.fromDataset(element, definition.prefix);
+            const reason = definition.validate ? definition.validate(options) : null;
+            
+            if (reason) {
+              console.warn(`Módulo declarativo "${name}" ignorado: ${reason}`, element);
+              return;
+            }
+            
+            const instance = definition.factory(element, options);
+            
+            if (definition.init) {
+              definition.init(instance);
+            } else {
+              DeclarativeModules.invoke(instance, 'init');
+            }
+            if (this.reducedMotion) DeclarativeModules.invoke(instance, 'enableReducedMotion');
+            
+            this.instances.push({ name, element, instance });
+            created.push(instance);
+          } catch (error) {
+            console.error(`Erro ao criar o módulo declarativo "${name}":`, element, error);
+          }
+        });
     });
+    
+    return created;
   }
-}
-
-// ============================================
-// CLASSE: MONITOR DE PERFORMANCE (DEBUG)
-// ============================================
-/**
- * @class PerformanceMonitor
- * Exibe um monitor de FPS e outros dados de debug (ativado com #debug na URL).
- */
-class PerformanceMonitor {
-  constructor() {
-    /** @private @type {HTMLElement | null} */
-    this.monitor = null;
-    /** @private @type {number} */
-    this.fps = 0;
-    /** @private @type {number} */
-    this.lastTime = performance.now();
-    /** @private @type {number} */
-    this.frames = 0;
-    /** @type {boolean} */
-    this.isActive = false;
+  
+  /**
+   * @private
+   * Chama um método em todas as instâncias.
+   * @param {string} method - O nome do método.
+   */
+  invokeAll(method) {
+    this.instances.forEach(({ instance }) => DeclarativeModules.invoke(instance, method));
   }
   
   /**
-   * Inicializa e cria o monitor.
+   * Pausa as instâncias declaradas.
    */
-  init() {
-    this.createMonitor();
-    this.startMonitoring();
-    this.isActive = true;
+  pause() {
+    this.invokeAll('pause');
   }
   
   /**
-   * @private
-   * Cria o elemento DOM para o monitor.
+   * Retoma as instâncias declaradas.
    */
-  createMonitor() {
-    this.monitor = DOM.create('div', {
-      className: 'performance-monitor',
-      style: {
-        position: 'fixed',
-        bottom: '20px',
-        right: '20px',
-        background: 'rgba(0, 0, 0, 0.9)',
-        color: 'var(--primary-color)',
-        padding: '15px',
-        borderRadius: '10px',
-        fontFamily: "'JetBrains Mono', monospace",
-        fontSize: '0.9em',
-        zIndex: '9999',
-        border: '1px solid var(--primary-color)',
-        minWidth: '200px'
-      }
-    });
-    
-    document.body.appendChild(this.monitor);
+  resume() {
+    this.invokeAll('resume');
   }
   
   /**
-   * @private
-   * Inicia o loop (requestAnimationFrame) para calcular o FPS.
+   * Ativa o modo de movimento reduzido nas instâncias (e nas criadas depois).
    */
-  startMonitoring() {
-    const update = () => {
-      this.frames++;
-      const currentTime = performance.now();
-      
-      if (currentTime >= this.lastTime + 1000) {
-        this.fps = Math.round((this.frames * 1000) / (currentTime - this.lastTime));
-        this.frames = 0;
-        this.lastTime = currentTime;
-        this.updateDisplay();
-      }
-      
-      if (this.isActive) {
-        requestAnimationFrame(update);
-      }
-    };
-    
-    update();
+  enableReducedMotion() {
+    this.reducedMotion = true;
+    this.invokeAll('enableReducedMotion');
   }
   
   /**
-   * @private
-   * Atualiza o HTML do monitor com os dados mais recentes.
+   * Sai do modo de movimento reduzido nas instâncias.
    */
-  updateDisplay() {
-    if (this.monitor) {
-      this.monitor.innerHTML = `
-        <div style="margin-bottom: 5px;"><strong>FPS:</strong> ${this.fps}</div>
-        <div style="margin-bottom: 5px;"><strong>Resolução:</strong> ${window.innerWidth}x${window.innerHeight}</div>
-        <div><strong>Scroll:</strong> ${Math.round(window.scrollY)}px</div>
-      `;
-    }
+  disableReducedMotion() {
+    this.reducedMotion = false;
+    this.invokeAll('disableReducedMotion');
   }
   
   /**
-   * Para o monitor e o remove do DOM.
+   * Destrói todas as instâncias declaradas.
    */
   destroy() {
+    this.invokeAll('destroy');
+    this.instances = [];
     this.isActive = false;
-    if (this.monitor) {
-      this.monitor.remove();
-    }
   }
 }
 
 // ============================================
 // CLASSE PRINCIPAL: PORTFOLIO APP
 // ============================================
+/**
+ * @typedef {object} ModuleDefinition
+ * @property {function(PortfolioApp): object} factory - Cria a instância do módulo.
+ * @property {function(PortfolioApp): boolean} [enabled] - Se o módulo deve ser carregado (padrão: sempre).
+ * @property {string[]} [dependencies=[]] - Módulos que precisam ser inicializados antes.
+ * @property {number} [priority=0] - Entre módulos prontos, os de maior prioridade iniciam primeiro.
+ * @property {function(object, PortfolioApp): (void | Promise)} [init] - Inicialização customizada
+ *   (padrão: chama module.init()). pause, resume e destroy são chamados no próprio módulo.
+ */
+
+/**
+ * Definições de módulos registradas via PortfolioApp.register.
+ * @const {Map<string, ModuleDefinition>}
+ */
+const MODULE_DEFINITIONS = new Map();
+
 /**
  * @class PortfolioApp
  * Classe principal que orquestra todos os módulos da aplicação.
+ *
+ * Scripts de terceiros podem registrar módulos próprios antes do DOMContentLoaded:
+ *   PortfolioApp.register('meuModulo', {
+ *     factory: (app) => new MeuModulo(app.get('theme')),
+ *     dependencies: ['theme']
+ *   });
+ * Scripts carregados antes deste arquivo podem usar a fila global:
+ *   (window.portfolioModules = window.portfolioModules || []).push({ name: 'meuModulo', factory: ... });
  */
 class PortfolioApp {
   constructor() {
@@ -1024,6 +7296,14 @@ class PortfolioApp {
     this.modules = {};
     /** @type {boolean} */
     this.isInitialized = false;
+    /** @type {boolean} */
+    this.reducedMotion = false;
+    /** @type {boolean} Se o visitante pausou os efeitos (a pausa sobrevive à troca de abas). */
+    this.pausedByUser = false;
+    /** @type {Object<string, number>} Tempo (ms) da criação e inicialização síncrona de cada módulo. */
+    this.timings = {};
+    /** @private @type {MediaQueryList | null} */
+    this.motionQuery = null;
   }
   
   /**
@@ -1037,6 +7317,7 @@ class PortfolioApp {
     
     try {
       this.initModules();
+      this.setupMotionPreference();
       this.setupGlobalListeners();
       this.addCustomStyles();
       this.isInitialized = true;
@@ -1046,42 +7327,278 @@ class PortfolioApp {
     }
   }
   
+  /**
+   * Registra um módulo para ser criado e inicializado pelo PortfolioApp.
+   * Deve ser chamado antes do DOMContentLoaded; registrar um nome existente substitui o anterior.
+   * @param {string} name - O nome do módulo (chave em app.modules e em app.get()).
+   * @param {ModuleDefinition} definition - A definição do módulo.
+   */
+  static register(name, definition) {
+    if (typeof definition.factory !== 'function') {
+      throw new TypeError(`Módulo "${name}" precisa de uma factory`);
+    }
+    
+    MODULE_DEFINITIONS.set(name, {
+      dependencies: [],
+      priority: 0,
+      ...definition
+    });
+  }
+  
+  /**
+   * Retorna a instância de um módulo inicializado.
+   * @param {string} name - O nome do módulo.
+   * @returns {object | null}
+   */
+  get(name) {
+    return this.modules[name] || null;
+  }
+  
+  /**
+   * @private
+   * Registra os módulos enfileirados em window.portfolioModules (scripts carregados antes deste).
+   */
+  registerQueuedModules() {
+    const queue = Array.isArray(window.portfolioModules) ? window.portfolioModules : [];
+    
+    queue.forEach(({ name, ...definition }) => {
+      try {
+        PortfolioApp.register(name, definition);
+      } catch (error) {
+        console.error(`Erro ao registrar módulo "${name}":`, error);
+      }
+    });
+  }
+  
+  /**
+   * @private
+   * Ordena os módulos habilitados: cada um vem depois das suas dependências e, entre
+   * os que já podem ser inicializados, os de maior prioridade vêm primeiro.
+   * Módulos com dependências ausentes, desabilitadas ou circulares são ignorados.
+   * @returns {string[]} Os nomes dos módulos, na ordem de inicialização.
+   */
+  resolveModuleOrder() {
+    const pending = Array.from(MODULE_DEFINITIONS.entries()).filter(([name, definition]) => {
+      try {
+        return !definition.enabled || definition.enabled(this);
+      } catch (error) {
+        console.error(`Erro ao avaliar o módulo "${name}":`, error);
+        return false;
+      }
+    });
+    const order = [];
+    
+    while (pending.length) {
+      const ready = pending.filter(([, definition]) =>
+        definition.dependencies.every(dependency => order.includes(dependency)));
+      
+      if (!ready.length) {
+        pending.forEach(([name, definition]) => {
+          console.warn(`Módulo "${name}" ignorado: dependências não satisfeitas (${definition.dependencies.join(', ')})`);
+        });
+        break;
+      }
+      
+      const [name] = ready.reduce((best, entry) => (entry[1].priority > best[1].priority ? entry : best));
+      order.push(name);
+      pending.splice(pending.findIndex(([pendingName]) => pendingName === name), 1);
+    }
+    
+    return order;
+  }
+  
   /**
    * @private
-   * Instancia e inicializa todos os módulos.
+   * Instancia e inicializa os módulos registrados, na ordem de dependências.
    */
   initModules() {
-    // Animações de reveal
-    this.modules.animations = new AnimationController();
-    this.modules.animations.init();
+    this.registerQueuedModules();
+    this.resolveModuleOrder().forEach(name => this.initModule(name));
+  }
+  
+  /**
+   * @private
+   * Cria e inicializa um módulo. Uma falha é isolada: o módulo fica de fora
+   * (assim como os que dependem dele) e os demais seguem normalmente. Se a
+   * inicialização retornar uma Promise, uma rejeição também remove o módulo e
+   * destrói os dependentes já criados (ver removeDependents).
+   * @param {string} name - O nome do módulo.
+   */
+  initModule(name) {
+    const definition = MODULE_DEFINITIONS.get(name);
+    const missing = definition.dependencies.filter(dependency => !this.get(dependency));
+    
+    if (missing.length) {
+      console.warn(`Módulo "${name}" ignorado: dependências com falha (${missing.join(', ')})`);
+      return;
+    }
+    
+    try {
+      const start = performance.now();
+      const module = definition.factory(this);
+      this.modules[name] = module;
+      
+      const result = definition.init
+        ? definition.init(module, this)
+        : typeof module.init === 'function' && module.init();
+      this.timings[name] = performance.now() - start;
+      
+      // Inicializações assíncronas (ex: content, github) falham depois deste try
+      if (result && typeof result.then === 'function') {
+        Promise.resolve(result).catch(error => {
+          console.error(`Erro ao inicializar módulo "${name}":`, error);
+          if (this.modules[name] !== module) return;
+          
+          delete this.modules[name];
+          this.removeDependents(name);
+        });
+      }
+      
+      if (this.reducedMotion && typeof module.enableReducedMotion === 'function') {
+        module.enableReducedMotion();
+      }
+      if (this.pausedByUser && typeof module.pause === 'function') {
+        module.pause();
+      }
+    } catch (error) {
+      console.error(`Erro ao inicializar módulo "${name}":`, error);
+      delete this.modules[name];
+    }
+  }
+  
+  /**
+   * @private
+   * Destrói e remove os módulos ativos que dependem (direta ou indiretamente) de um
+   * módulo que falhou depois de já terem sido criados.
+   * @param {string} name - O nome do módulo que falhou.
+   */
+  removeDependents(name) {
+    MODULE_DEFINITIONS.forEach((definition, dependent) => {
+      const module = this.get(dependent);
+      if (!module || !definition.dependencies.includes(name)) return;
+      
+      console.warn(`Módulo "${dependent}" removido: dependência com falha (${name})`);
+      try {
+        if (typeof module.destroy === 'function') module.destroy();
+      } catch (error) {
+        console.error(`Erro ao destruir módulo "${dependent}":`, error);
+      }
+      delete this.modules[dependent];
+      this.removeDependents(dependent);
+    });
+  }
+  
+  /**
+   * Liga ou desliga um módulo registrado em tempo de execução (ignorando a condição enabled).
+   * @param {string} name - O nome do módulo.
+   * @param {boolean} [force] - true para ligar, false para desligar (padrão: alterna).
+   * @returns {boolean} Se o módulo ficou ativo.
+   */
+  toggleModule(name, force = !this.get(name)) {
+    const module = this.get(name);
     
-    // Sistema de partículas
-    this.modules.particles = new ParticleSystem(SELECTORS.PARTICLE_CONTAINER);
-    this.modules.particles.init();
+    if (!force && module) {
+      if (typeof module.destroy === 'function') module.destroy();
+      delete this.modules[name];
+    } else if (force && !module && MODULE_DEFINITIONS.has(name)) {
+      this.initModule(name);
+    }
     
-    // Efeito de digitação
-    this.modules.typing = new TypingEffect(SELECTORS.SUBTITLE);
-    this.modules.typing.start(1000);
+    return Boolean(this.get(name));
+  }
+  
+  /**
+   * Recria um módulo ativo (ex: para aplicar mudanças no CONFIG lidas só na inicialização).
+   * @param {string} name - O nome do módulo.
+   */
+  restartModule(name) {
+    if (!this.get(name)) return;
     
-    // Cursor personalizado
-    this.modules.cursor = new CursorEffect();
-    this.modules.cursor.init();
+    this.toggleModule(name, false);
+    this.toggleModule(name, true);
+  }
+  
+  /**
+   * @private
+   * Chama um método de um módulo, se o módulo estiver ativo e tiver o método.
+   * @param {string} name - O nome do módulo.
+   * @param {string} method - O nome do método.
+   * @param {...*} args - Os argumentos.
+   * @returns {*} O retorno do método (ou undefined).
+   */
+  callModule(name, method, ...args) {
+    const module = this.get(name);
+    return module && typeof module[method] === 'function' ? module[method](...args) : undefined;
+  }
+  
+  /**
+   * Conecta os nós renderizados dinamicamente à galeria de projetos, às datas dinâmicas,
+   * aos módulos declarativos, às animações de reveal e ao cursor.
+   * @param {HTMLElement[]} nodes - Os nós criados (ex: pelo ContentRenderer ou pelo GitHubRepos).
+   */
+  hydrateContent(nodes) {
+    if (!nodes.length || !this.isInitialized) return;
     
-    // Barra de progresso
-    this.modules.scrollProgress = new ScrollProgress();
-    this.modules.scrollProgress.init();
+    const filters = [
+      ...(this.callModule('projects', 'refresh') || []),
+      ...(this.callModule('timeline', 'refresh') || [])
+    ];
     
-    // Smooth scroll
-    this.modules.smoothScroll = new SmoothScroll();
-    this.modules.smoothScroll.init();
+    this.callModule('dates', 'update', nodes);
+    this.callModule('declarative', 'scan', nodes);
+    this.callModule('seo', 'update');
+    this.callModule('animations', 'observe', nodes);
+    this.callModule('cursor', 'bindHoverEffects', [...nodes, ...filters]);
+  }
+  
+  /**
+   * @private
+   * Atualiza os textos gerados pelos módulos após uma troca de idioma.
+   * @param {string} locale - O novo idioma.
+   */
+  handleLocaleChange(locale) {
+    this.callModule('theme', 'updateToggle');
+    this.callModule('typing', 'setWords', TYPING_WORDS[locale]);
+    this.callModule('dates', 'update', [document.body]);
+    this.callModule('animations', 'refreshBadges');
+    this.hydrateContent(this.callModule('content', 'rerender') || []);
+    this.hydrateContent(this.callModule('github', 'render') || []);
+    this.callModule('projects', 'refresh');
+    this.callModule('timeline', 'refresh');
+    this.callModule('contact', 'refreshTexts');
+    this.callModule('seo', 'update');
+    this.callModule('analytics', 'updateToggle');
+  }
+  
+  /**
+   * @private
+   * Acompanha (ao vivo) a preferência do sistema por movimento reduzido.
+   */
+  setupMotionPreference() {
+    this.motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    this.motionQuery.addEventListener('change', (e) => this.setReducedMotion(e.matches));
     
-    // Monitor de performance (apenas em modo debug)
-    if (window.location.hash === '#debug') {
-      this.modules.monitor = new PerformanceMonitor();
-      this.modules.monitor.init();
+    if (this.motionQuery.matches) {
+      this.setReducedMotion(true);
     }
   }
   
+  /**
+   * Liga ou desliga o modo de movimento reduzido em todos os módulos que o suportam.
+   * @param {boolean} reduced - Se o movimento deve ser reduzido.
+   */
+  setReducedMotion(reduced) {
+    this.reducedMotion = reduced;
+    document.documentElement.classList.toggle('reduced-motion', reduced);
+    
+    Object.values(this.modules).forEach(module => {
+      const method = reduced ? module.enableReducedMotion : module.disableReducedMotion;
+      if (typeof method === 'function') {
+        method.call(module);
+      }
+    });
+  }
+  
   /**
    * @private
    * Configura listeners globais (ex: visibilidade da aba).
@@ -1091,11 +7608,19 @@ class PortfolioApp {
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
         this.pause();
-      } else {
+      } else if (!this.pausedByUser) {
         this.resume();
       }
     });
     
+    // Impressão: sem efeitos em andamento enquanto o navegador gera as páginas
+    window.addEventListener('beforeprint', () => {
+      this.pause();
+    });
+    window.addEventListener('afterprint', () => {
+      if (!this.pausedByUser && !document.hidden) this.resume();
+    });
+    
     // Cleanup ao sair
     window.addEventListener('beforeunload', () => {
       this.destroy();
@@ -1121,11 +7646,9 @@ class PortfolioApp {
         }
       }
       
-      /* Esconde o cursor padrão em desktops onde o cursor personalizado está ativo */
-      @media (min-width: ${CONFIG.BREAKPOINTS.TABLET + 1}px) {
-        * {
-          cursor: none !important;
-        }
+      /* Esconde o cursor padrão enquanto o cursor personalizado está ativo */
+      .custom-cursor-active * {
+        cursor: none !important;
       }
     `;
     document.head.appendChild(style);
@@ -1154,10 +7677,26 @@ class PortfolioApp {
   }
   
   /**
-   * Destrói todos os módulos e limpa a aplicação.
+   * Pausa ou retoma os efeitos a pedido do visitante (ex: pela paleta de comandos).
+   * @returns {boolean} Se os efeitos ficaram pausados.
+   */
+  togglePause() {
+    this.pausedByUser = !this.pausedByUser;
+    
+    if (this.pausedByUser) {
+      this.pause();
+    } else {
+      this.resume();
+    }
+    
+    return this.pausedByUser;
+  }
+  
+  /**
+   * Destrói todos os módulos (na ordem inversa da inicialização) e limpa a aplicação.
    */
   destroy() {
-    Object.values(this.modules).forEach(module => {
+    Object.values(this.modules).reverse().forEach(module => {
       if (module.destroy && typeof module.destroy === 'function') {
         module.destroy();
       }
@@ -1171,20 +7710,182 @@ class PortfolioApp {
    * Exibe uma mensagem de boas-vindas no console (para recrutadores).
    */
   logWelcome() {
-    console.log('%c🚀 Bem-vindo ao portfólio de Nicoly Rodrigues!', 
-      'font-size: 20px; font-weight: bold; color: #F81894;');
-    console.log('%c👀 Recrutador? Que bom te ver por aqui! Este site foi construído com JS modular e moderno.', 
-      'font-size: 14px; color: #A78BFA;');
-    console.log('%cCódigo-fonte deste script está documentado (JSDoc) para mostrar minhas boas práticas.', 
-      'font-size: 12px; color: #14b8a6;');
+    console.log(`%c${I18N.t('console.welcome')}`, 
+      `font-size: 20px; font-weight: bold; color: ${ThemeTokens.get('primary-color')};`);
+    console.log(`%c${I18N.t('console.recruiter')}`, 
+      `font-size: 14px; color: ${ThemeTokens.get('secondary-color')};`);
+    console.log(`%c${I18N.t('console.docs')}`, 
+      `font-size: 12px; color: ${ThemeTokens.get('tertiary-color')};`);
     
     if (window.location.hash !== '#debug') {
-      console.log('%c💡 P.S.: Adicione #debug na URL para ativar o monitor de performance (FPS, etc.)', 
-        'font-size: 11px; color: #888;');
+      console.log(`%c${I18N.t('console.debugHint')}`, 
+        `font-size: 11px; color: ${ThemeTokens.get('text-muted')};`);
     }
   }
 }
 
+// ============================================
+// MÓDULOS PADRÃO
+// ============================================
+// Idioma (antes dos demais, para que já criem seus textos traduzidos)
+PortfolioApp.register('i18n', {
+  factory: () => new LanguageSwitcher(),
+  priority: 100,
+  init: (i18n, app) => {
+    i18n.init();
+    i18n.onChange(locale => app.handleLocaleChange(locale));
+  }
+});
+
+// Temas (escuro, claro e alto contraste)
+PortfolioApp.register('theme', {
+  factory: () => new ThemeManager(),
+  dependencies: ['i18n'],
+  priority: 90
+});
+
+// Animações de reveal
+PortfolioApp.register('animations', {
+  factory: () => new AnimationController(),
+  priority: 50
+});
+
+// Galeria de projetos (antes do cursor, para que filtros e modal recebam o hover)
+PortfolioApp.register('projects', {
+  factory: () => new ProjectGallery(),
+  dependencies: ['i18n'],
+  priority: 50
+});
+
+// Linha do tempo da carreira (filtros, ordenação e atividades recolhíveis)
+PortfolioApp.register('timeline', {
+  factory: () => new CareerTimeline(),
+  dependencies: ['i18n'],
+  priority: 50
+});
+
+// Datas dinâmicas (períodos, durações, ano do rodapé)
+PortfolioApp.register('dates', {
+  factory: () => new DynamicDates(),
+  dependencies: ['i18n'],
+  priority: 50
+});
+
+// Sistema de partículas (canvas, com o renderizador em DOM como fallback)
+PortfolioApp.register('particles', {
+  factory: () => CanvasParticleSystem.create(SELECTORS.PARTICLE_CONTAINER,
+    Options.fromDataset(DOM.select(SELECTORS.PARTICLE_CONTAINER), 'particles'))
+});
+
+// Efeito de digitação (as palavras acompanham o idioma; data-typing-* ajusta o ritmo)
+PortfolioApp.register('typing', {
+  factory: () => new TypingEffect(SELECTORS.SUBTITLE, undefined,
+    Options.fromDataset(DOM.select(SELECTORS.SUBTITLE), 'typing')),
+  dependencies: ['i18n'],
+  init: (typing) => typing.start(1000)
+});
+
+// Cursor personalizado (depois dos módulos que criam elementos interativos)
+PortfolioApp.register('cursor', {
+  factory: () => new CursorEffect(),
+  priority: -10
+});
+
+// Barra de progresso
+PortfolioApp.register('scrollProgress', {
+  factory: () => new ScrollProgress()
+});
+
+// Smooth scroll
+PortfolioApp.register('smoothScroll', {
+  factory: () => new SmoothScroll()
+});
+
+// Scroll-spy da navegação (link ativo e hash da URL)
+PortfolioApp.register('scrollSpy', {
+  factory: (app) => new ScrollSpy(app.get('smoothScroll')),
+  dependencies: ['smoothScroll']
+});
+
+// Conteúdo dinâmico (portfolio.json)
+PortfolioApp.register('content', {
+  factory: () => new ContentRenderer(),
+  dependencies: ['i18n'],
+  init: (content, app) => content.init().then(nodes => app.hydrateContent(nodes))
+});
+
+// Repositórios do GitHub: não registrado enquanto não houver um github-repos.json real
+// (gerado com o curl descrito em GitHubRepos). Até lá, .repo-grid mostra só o link estático.
+
+// Currículo para impressão ("Baixar CV")
+PortfolioApp.register('resume', {
+  factory: () => new ResumePrinter(),
+  dependencies: ['i18n']
+});
+
+// Downloads do perfil (JSON Resume e vCard)
+PortfolioApp.register('profileExport', {
+  factory: () => new ProfileExporter(),
+  dependencies: ['i18n']
+});
+
+// JSON-LD (schema.org Person) e metatags de compartilhamento
+PortfolioApp.register('seo', {
+  factory: () => new StructuredData(),
+  dependencies: ['i18n']
+});
+
+// Analytics local (tempo por seção, cliques de saída, profundidade de scroll)
+PortfolioApp.register('analytics', {
+  factory: () => new Analytics(),
+  dependencies: ['i18n'],
+  priority: -20
+});
+
+// Suporte offline (service worker, indicador de conexão e aviso de nova versão)
+PortfolioApp.register('offline', {
+  factory: () => new OfflineSupport(),
+  dependencies: ['i18n']
+});
+
+// Formulário de contato
+PortfolioApp.register('contact', {
+  factory: () => new ContactForm(),
+  dependencies: ['i18n']
+});
+
+// Paleta de comandos (Ctrl/Cmd+K)
+PortfolioApp.register('palette', {
+  factory: (app) => new CommandPalette(app),
+  dependencies: ['i18n']
+});
+
+// Módulos declarados no HTML (data-typing-words, data-particles-count)
+PortfolioApp.register('declarative', {
+  factory: () => new DeclarativeModules(),
+  dependencies: ['i18n']
+});
+
+// Governador de qualidade (depois dos módulos de efeitos que ele ajusta)
+PortfolioApp.register('quality', {
+  factory: (app) => new QualityGovernor(app),
+  priority: -50
+});
+
+// Monitor de performance (apenas em modo debug)
+PortfolioApp.register('monitor', {
+  factory: (app) => new PerformanceMonitor(app),
+  enabled: () => window.location.hash === '#debug',
+  priority: -100
+});
+
+// Painel de ajuste do CONFIG (apenas em modo debug)
+PortfolioApp.register('configPanel', {
+  factory: (app) => new ConfigPanel(app),
+  enabled: () => window.location.hash === '#debug',
+  priority: -100
+});
+
 // ============================================
 // INICIALIZAÇÃO
 // ============================================
@@ -1200,6 +7901,6 @@ document.addEventListener('DOMContentLoaded', () => {
   if (window.location.hash === '#debug') {
     window.portfolioApp = app;
     console.log('%c🔧 Debug Mode Ativo - use window.portfolioApp para inspecionar', 
-      'font-size: 12px; color: #FFD700; font-weight: bold;');
+      `font-size: 12px; color: ${ThemeTokens.get('accent-yellow')}; font-weight: bold;`);
   }
 });
\ No newline at end of file
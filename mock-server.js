@@ -0,0 +1,166 @@
+/**
+ * Servidor mock para desenvolvimento local: serve os arquivos do portfólio e simula os
+ * endpoints do formulário de contato (CONFIG.CONTACT.ENDPOINT) e do analytics
+ * (CONFIG.ANALYTICS.ENDPOINT), sem dependências.
+ *
+ * Uso: node mock-server.js [porta]  →  http://localhost:8080
+ * As mensagens recebidas são exibidas no terminal. Para testar o estado de erro,
+ * envie uma mensagem contendo "erro"; para testar a fila offline, pare o servidor.
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8080;
+const ROOT = __dirname;
+const CONTACT_ENDPOINT = '/api/contact';
+const ANALYTICS_ENDPOINT = '/api/analytics';
+
+/** Arquivos do site servidos pelo mock (o resto da pasta, como .git/ e este arquivo, não). */
+const PUBLIC_FILES = new Set([
+  'index.html',
+  'style.css',
+  'meuscript.js',
+  'sw.js',
+  'manifest.webmanifest',
+  'portfolio.json',
+  'img.jpg'
+]);
+
+/** Tipos MIME dos arquivos servidos. */
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webmanifest': 'application/manifest+json; charset=utf-8'
+};
+
+/**
+ * Responde com um JSON.
+ * @param {http.ServerResponse} res - A resposta.
+ * @param {number} status - O status HTTP.
+ * @param {object} body - O corpo.
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': MIME_TYPES['.json'] });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Recebe uma mensagem de contato (mesmas regras da validação do formulário).
+ * @param {http.IncomingMessage} req - A requisição.
+ * @param {http.ServerResponse} res - A resposta.
+ */
+function handleContact(req, res) {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return sendJson(res, 400, { error: 'JSON inválido' });
+    }
+    
+    if (!message || typeof message !== 'object') {
+      return sendJson(res, 400, { error: 'JSON inválido' });
+    }
+    
+    const { name, email, message: text } = message;
+    if (!name || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '') || typeof text !== 'string' || text.length < 10) {
+      return sendJson(res, 422, { error: 'Campos inválidos' });
+    }
+    
+    if (/erro/i.test(text)) {
+      return sendJson(res, 500, { error: 'Erro simulado' });
+    }
+    
+    console.log(`📨 ${name} <${email}> (${message.locale}, ${message.sentAt}):\n${text}\n`);
+    sendJson(res, 201, { ok: true });
+  });
+}
+
+/**
+ * Recebe um lote de eventos do analytics (enviado com navigator.sendBeacon).
+ * @param {http.IncomingMessage} req - A requisição.
+ * @param {http.ServerResponse} res - A resposta.
+ */
+function handleAnalytics(req, res) {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    let batch;
+    try {
+      batch = JSON.parse(raw);
+    } catch (error) {
+      res.writeHead(400);
+      return res.end();
+    }
+    
+    const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(batch) || !Array.isArray(batch.events) || !batch.events.every(isObject)) {
+      res.writeHead(400);
+      return res.end();
+    }
+    
+    console.log(`📊 ${batch.session} (${batch.locale}, ${batch.page}):`);
+    batch.events.forEach(({ type, at, ...data }) => {
+      console.log(`   ${String(at).padStart(7)}ms ${type} ${JSON.stringify(data)}`);
+    });
+    res.writeHead(204);
+    res.end();
+  });
+}
+
+/**
+ * Serve um arquivo estático do portfólio. Só os arquivos de PUBLIC_FILES são servidos;
+ * os demais caminhos respondem 404.
+ * @param {http.IncomingMessage} req - A requisição.
+ * @param {http.ServerResponse} res - A resposta.
+ */
+function serveStatic(req, res) {
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch (error) {
+    res.writeHead(400);
+    return res.end('Requisição inválida');
+  }
+  
+  const name = pathname === '/' ? 'index.html' : pathname.replace(/^\//, '');
+  if (!PUBLIC_FILES.has(name)) {
+    res.writeHead(404);
+    return res.end('Não encontrado');
+  }
+  
+  const file = path.join(ROOT, name);
+  
+  fs.readFile(file, (error, content) => {
+    if (error) {
+      res.writeHead(404);
+      return res.end('Não encontrado');
+    }
+    
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(content);
+  });
+}
+
+http.createServer((req, res) => {
+  if (req.url === CONTACT_ENDPOINT && req.method === 'POST') {
+    handleContact(req, res);
+  } else if (req.url === ANALYTICS_ENDPOINT && req.method === 'POST') {
+    handleAnalytics(req, res);
+  } else if (req.method === 'GET') {
+    serveStatic(req, res);
+  } else {
+    res.writeHead(405);
+    res.end();
+  }
+}).listen(PORT, () => {
+  console.log(`Portfólio em http://localhost:${PORT} (contato: POST ${CONTACT_ENDPOINT}, analytics: POST ${ANALYTICS_ENDPOINT})`);
+});
@@ -0,0 +1,118 @@
+/**
+ * Service worker do portfólio: suporte offline e aviso de nova versão.
+ *
+ * - Arquivos do próprio site: stale-while-revalidate a partir do cache pré-carregado
+ *   (a página abre offline). Quando a revalidação de um arquivo do app shell traz um
+ *   conteúdo diferente do que estava em cache, as abas recebem UPDATE_AVAILABLE e
+ *   oferecem recarregar.
+ * - CDNs (Font Awesome, Google Fonts): stale-while-revalidate, para os ícones e fontes
+ *   não sumirem em conexões instáveis.
+ *
+ * Mudanças neste arquivo instalam um novo worker, que espera em "waiting" até a página
+ * enviar SKIP_WAITING (botão "Recarregar"). Ao mudar a lista de arquivos, incremente
+ * CACHE_VERSION para descartar os caches antigos.
+ */
+const CACHE_VERSION = 1;
+const APP_CACHE = `portfolio-app-v${CACHE_VERSION}`;
+const CDN_CACHE = `portfolio-cdn-v${CACHE_VERSION}`;
+
+/** Arquivos pré-carregados na instalação (o app shell). */
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'style.css',
+  'meuscript.js',
+  'img.jpg',
+  'manifest.webmanifest'
+];
+
+/** Arquivos cuja mudança no servidor gera o aviso de nova versão. */
+const APP_SHELL = ['./', 'index.html', 'style.css', 'meuscript.js'].map(url => new URL(url, self.location).href);
+
+/** Hosts servidos com stale-while-revalidate. */
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('portfolio-') && ![APP_CACHE, CDN_CACHE].includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  
+  const url = new URL(request.url);
+  
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(staleWhileRevalidate(event, APP_CACHE));
+  }
+});
+
+/**
+ * Responde do cache (se houver) e atualiza o cache em segundo plano pela rede.
+ * Navegações sem cache próprio caem no index.html pré-carregado.
+ * @param {FetchEvent} event - O evento de fetch.
+ * @param {string} cacheName - O cache usado.
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+  // Cópia para a comparação: o corpo de `cached` é consumido pela página antes da rede responder
+  const previous = cached ? cached.clone() : null;
+  
+  const network = fetch(request)
+    .then(async (response) => {
+      // Respostas opacas (CSS do Google Fonts sem CORS) não têm status, mas são válidas
+      if (response.ok || response.type === 'opaque') {
+        const fresh = response.clone();
+        await cache.put(request, response.clone());
+        if (previous && APP_SHELL.includes(response.url)) {
+          await notifyIfChanged(previous, fresh).catch(() => {});
+        }
+      }
+      return response;
+    });
+  
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  
+  try {
+    return await network;
+  } catch (error) {
+    const fallback = request.mode === 'navigate' ? await caches.match('index.html') : null;
+    if (fallback) return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Avisa as abas abertas se um arquivo do app shell mudou no servidor.
+ * @param {Response} previous - A versão que estava em cache (com o corpo ainda não lido).
+ * @param {Response} fresh - A versão recém-baixada.
+ */
+async function notifyIfChanged(previous, fresh) {
+  const [before, after] = await Promise.all([previous.text(), fresh.text()]);
+  if (before === after) return;
+  
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'UPDATE_AVAILABLE', url: fresh.url }));
+}